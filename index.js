@@ -8,31 +8,105 @@
 'use strict';
 
 var net = require('net');
+var tls = require('tls');
 var Promise = require('bluebird');
 
 var errors = require('./lib/errors');
 var protocol = require('./lib/protocol');
+var auxItems = require('./lib/auxitems');
 var Client = require('./lib/client');
+var ReadingSession = require('./lib/readingsession');
+var Marks = require('./lib/marks');
+var Presence = require('./lib/presence');
+var TextBuilder = require('./lib/textbuilder');
 
 //
 // Main interface
 //
 
+// connect() options that are passed on to net.connect() or tls.connect()
+var socketOptionNames = [
+    'host', 'port', 'path', 'localAddress', 'localPort',
+    'family', 'hints', 'lookup', 'noDelay', 'keepAlive', 'keepAliveInitialDelay'
+];
+
+/** Return a function creating sockets for the transport in the
+ * connect() options.
+ */
+var getSocketFactory = function(options) {
+    if (options.createSocket) {
+        if (typeof options.createSocket !== 'function') {
+            throw new errors.ClientError('createSocket must be a function');
+        }
+
+        return options.createSocket;
+    }
+
+    var socketOptions = {};
+    var opt;
+
+    socketOptionNames.forEach(function(name) {
+        if (options[name] !== undefined) {
+            socketOptions[name] = options[name];
+        }
+    });
+
+    if (!socketOptions.path && !socketOptions.port) {
+        socketOptions.port = 4894;
+    }
+
+    if (options.tls) {
+        if (typeof options.tls === 'object') {
+            for (opt in options.tls) {
+                if (options.tls.hasOwnProperty(opt)) {
+                    socketOptions[opt] = options.tls[opt];
+                }
+            }
+        }
+
+        return function() {
+            return tls.connect(socketOptions);
+        };
+    }
+
+    return function() {
+        return net.connect(socketOptions);
+    };
+};
+
+
 /** Connect to a LysKOM server.
  *
  * options:
  *  - host: server host (default 'localhost')
  *  - port: server port (default 4894)
+ *  - path: Unix socket path, used instead of host and port
+ *  - localAddress, localPort, family, hints, lookup, noDelay,
+ *    keepAlive, keepAliveInitialDelay: passed on to net.connect()
+ *  - tls: if true, or an object with options for tls.connect(),
+ *    connect with TLS, e.g. to a server behind stunnel
+ *  - createSocket: function returning a new duplex stream connected
+ *    to the server, used instead of the options above.  The stream
+ *    must behave like a net.Socket, see Client.
+ *  - reconnect: if true, or an object with reconnect options (see
+ *    Client), reconnect and restore the session if the connection
+ *    is lost
+ *  - maxInFlight: max number of requests waiting for a response
+ *    (default no limit)
  *
  * Return:
  *  - Client object, which will emit 'connect' when it is ready to be used.
  */
 var connect = exports.connect = function(options) {
-    if (!options.port) {
-        options.port = 4894;
-    }
+    options = options || {};
 
-    return new Client(net.connect(options));
+    var createSocket = getSocketFactory(options);
+
+    return new Client(createSocket(), {
+        createSocket: createSocket,
+        reconnect: options.reconnect,
+        maxInFlight: options.maxInFlight
+    });
 };
 
 
@@ -57,6 +131,16 @@ exports.connectAndWait = function(options) {
 };
 
 
+//
+// Expose helper classes
+//
+
+exports.ReadingSession = ReadingSession;
+exports.Marks = Marks;
+exports.Presence = Presence;
+exports.TextBuilder = TextBuilder;
+
+
 //
 // Expose error classes
 //
@@ -64,8 +148,23 @@ exports.connectAndWait = function(options) {
 exports.ProtocolError = errors.ProtocolError;
 exports.ServerError = errors.ServerError;
 exports.ClientError = errors.ClientError;
+exports.ConnectionLostError = errors.ConnectionLostError;
+exports.TimeoutError = errors.TimeoutError;
+exports.AbortError = errors.AbortError;
 exports.RequestError = errors.RequestError;
 
+exports.NoSuchTextError = errors.NoSuchTextError;
+exports.IllegalInfoTypeError = errors.IllegalInfoTypeError;
+exports.AlreadyRecipientError = errors.AlreadyRecipientError;
+exports.AlreadyCommentError = errors.AlreadyCommentError;
+exports.AlreadyFootnoteError = errors.AlreadyFootnoteError;
+exports.NotRecipientError = errors.NotRecipientError;
+exports.NotCommentError = errors.NotCommentError;
+exports.NotFootnoteError = errors.NotFootnoteError;
+exports.RecipientLimitError = errors.RecipientLimitError;
+exports.CommentLimitError = errors.CommentLimitError;
+exports.FootnoteLimitError = errors.FootnoteLimitError;
+
 
 /** List all implemented requests.
  */
@@ -95,5 +194,20 @@ for (var num in protocol.async) {
     }
 }
 
-// Expose aux item tags as is
-exports.aux = protocol.aux;
+// Expose aux item tags as is, including registered ones
+Object.defineProperty(exports, 'aux', {
+    enumerable: true,
+    get: function() { return protocol.aux; }
+});
+
+// Aux item codecs: register(tag, name, codec), unregister(tag),
+// decode(item), decodeAll(items), encode(tag, value, flags,
+// inheritLimit) and diff(current, desired, options)
+exports.auxItems = {
+    register: auxItems.register,
+    unregister: auxItems.unregister,
+    decode: auxItems.decode,
+    decodeAll: auxItems.decodeAll,
+    encode: auxItems.encode,
+    diff: auxItems.diff
+};
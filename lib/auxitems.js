@@ -0,0 +1,595 @@
+/* LysKOM protocol A aux item codecs
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:auxitems');
+
+var iconv = require('iconv-lite');
+
+var errors = require('./errors');
+
+
+// Map of aux item names to tag numbers
+var tags = {};
+
+/** Frozen copy of the map of aux item names to tag numbers, replaced
+ * when tags are registered or unregistered.  Applications can add
+ * their own tags with register().
+ */
+exports.tags = Object.freeze({});
+
+var publishTags = function() {
+    var copy = {};
+    for (var name in tags) {
+        if (tags.hasOwnProperty(name)) {
+            copy[name] = tags[name];
+        }
+    }
+
+    exports.tags = Object.freeze(copy);
+};
+
+// Map from tag number to { name, codec }
+var registry = {};
+
+// Set of the predefined tag numbers, which can't be registered again
+// since their names and decoded values are used internally.  Filled
+// in after the predefined items are registered.
+var predefinedTags = null;
+
+
+/** Register an aux item tag.
+ *
+ * Parameters:
+ *  - tag: aux item tag number
+ *  - name: camel cased name of the aux item, used in tags and in
+ *          decoded aux item objects
+ *  - codec: object with these properties:
+ *    - decode: function(buffer, item), returning the decoded value
+ *    - encode: function(value), returning a string or Buffer
+ *    - multiple: true if a text or conference can have several
+ *      items with this tag, in which case they are decoded into
+ *      an array
+ *
+ * The predefined aux items can't be registered again.
+ */
+var register = exports.register = function(tag, name, codec) {
+    if (typeof tag !== 'number' || typeof name !== 'string') {
+        throw new errors.ClientError('invalid aux item registration: ' + tag + ' ' + name);
+    }
+
+    if (predefinedTags && predefinedTags.hasOwnProperty(tag)) {
+        throw new errors.ClientError('cannot register predefined aux item: ' + tag);
+    }
+
+    if (tags.hasOwnProperty(name) && tags[name] !== tag) {
+        throw new errors.ClientError('aux item name already registered: ' + name);
+    }
+
+    if (registry.hasOwnProperty(tag)) {
+        // Renaming the tag
+        delete tags[registry[tag].name];
+    }
+
+    tags[name] = tag;
+    registry[tag] = { name: name, codec: codec };
+    publishTags();
+};
+
+
+/** Remove an aux item tag registered by the application.
+ *
+ * Parameters:
+ *  - tag: aux item tag number or name
+ */
+exports.unregister = function(tag) {
+    if (typeof tag === 'string') {
+        tag = tags[tag];
+    }
+
+    if (predefinedTags.hasOwnProperty(tag)) {
+        throw new errors.ClientError('cannot unregister predefined aux item: ' + tag);
+    }
+
+    if (registry.hasOwnProperty(tag)) {
+        delete tags[registry[tag].name];
+        delete registry[tag];
+        publishTags();
+    }
+};
+
+
+//
+// Codecs for the predefined aux items
+//
+
+var stringCodec = {
+    decode: function(data) {
+        return iconv.decode(data, 'latin1');
+    },
+
+    encode: function(value) {
+        return String(value);
+    }
+};
+
+var multipleStringCodec = {
+    decode: stringCodec.decode,
+    encode: stringCodec.encode,
+    multiple: true
+};
+
+// Items where the presence is the value, and the data is ignored
+var flagCodec = {
+    decode: function() {
+        return true;
+    },
+
+    encode: function() {
+        return '';
+    }
+};
+
+var numberCodec = {
+    decode: function(data) {
+        var s = iconv.decode(data, 'latin1');
+        return /^\s*\d+\s*$/.test(s) ? parseInt(s, 10) : s;
+    },
+
+    encode: function(value) {
+        return String(value);
+    }
+};
+
+var multipleNumberCodec = {
+    decode: numberCodec.decode,
+    encode: numberCodec.encode,
+    multiple: true
+};
+
+
+// "text/plain; charset=utf-8" <-> { type: 'text/plain', params: { charset: 'utf-8' } }
+var contentTypeCodec = {
+    decode: function(data) {
+        var parts = iconv.decode(data, 'latin1').split(';');
+        var value = { type: parts[0].trim().toLowerCase(), params: {} };
+
+        for (var i = 1; i < parts.length; i++) {
+            var m = parts[i].match(/^\s*([^=\s]+)\s*=\s*"?([^"]*?)"?\s*$/);
+            if (m) {
+                value.params[m[1].toLowerCase()] = m[2];
+            }
+        }
+
+        return value;
+    },
+
+    encode: function(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+
+        var s = value.type;
+        for (var p in value.params) {
+            if (value.params.hasOwnProperty(p)) {
+                s += '; ' + p + '=' + value.params[p];
+            }
+        }
+        return s;
+    }
+};
+
+
+var crossReferenceTypes = { T: 'text', C: 'conference', P: 'person' };
+
+// "T123 description" <-> { type: 'text', no: 123, description: 'description' }
+var crossReferenceCodec = {
+    decode: function(data) {
+        var s = iconv.decode(data, 'latin1');
+        var m = s.match(/^([TCP])\s*(\d+)(?:\s+(.*))?$/);
+        if (!m) {
+            return s;
+        }
+
+        var value = { type: crossReferenceTypes[m[1]], no: parseInt(m[2], 10) };
+        if (m[3]) {
+            value.description = m[3];
+        }
+        return value;
+    },
+
+    encode: function(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+
+        for (var letter in crossReferenceTypes) {
+            if (crossReferenceTypes.hasOwnProperty(letter) &&
+                crossReferenceTypes[letter] === value.type) {
+                return letter + value.no + (value.description ? ' ' + value.description : '');
+            }
+        }
+
+        throw new errors.ClientError('invalid cross-reference type: ' + value.type);
+    },
+
+    multiple: true
+};
+
+
+// "LysKOM:123" <-> { type: 'LysKOM', target: '123' }
+var redirectCodec = {
+    decode: function(data) {
+        var s = iconv.decode(data, 'latin1');
+        var i = s.indexOf(':');
+        return i < 0 ? s : { type: s.slice(0, i), target: s.slice(i + 1) };
+    },
+
+    encode: function(value) {
+        return typeof value === 'string' ? value : value.type + ':' + value.target;
+    }
+};
+
+
+// Recipient type numbers in send-comments-to, as Misc-Info names
+var recptTypes = { 0: 'recpt', 1: 'ccRecpt', 15: 'bccRecpt' };
+
+// "12 1" <-> { confNo: 12, recptType: 'ccRecpt' }
+var sendCommentsToCodec = {
+    decode: function(data) {
+        var s = iconv.decode(data, 'latin1');
+        var m = s.match(/^\s*(\d+)(?:\s+(\d+))?\s*$/);
+        if (!m || (m[2] !== undefined && !recptTypes.hasOwnProperty(m[2]))) {
+            return s;
+        }
+
+        return { confNo: parseInt(m[1], 10),
+                 recptType: m[2] === undefined ? 'recpt' : recptTypes[m[2]] };
+    },
+
+    encode: function(value) {
+        if (typeof value === 'number') {
+            return String(value);
+        }
+
+        if (value.recptType === undefined || value.recptType === 'recpt') {
+            return String(value.confNo);
+        }
+
+        for (var type in recptTypes) {
+            if (recptTypes.hasOwnProperty(type) && recptTypes[type] === value.recptType) {
+                return value.confNo + ' ' + type;
+            }
+        }
+
+        throw new errors.ClientError('invalid send-comments-to recipient type: ' + value.recptType);
+    }
+};
+
+
+// "1234 300" <-> { confNo: 1234, priority: 300 }
+var recommendedConfCodec = {
+    decode: function(data) {
+        var s = iconv.decode(data, 'latin1');
+        var m = s.match(/^\s*(\d+)(?:\s+(\d+))?/);
+        if (!m) {
+            return s;
+        }
+
+        var value = { confNo: parseInt(m[1], 10) };
+        if (m[2]) {
+            value.priority = parseInt(m[2], 10);
+        }
+        return value;
+    },
+
+    encode: function(value) {
+        if (typeof value === 'number') {
+            return String(value);
+        }
+
+        return value.confNo + (value.priority !== undefined ? ' ' + value.priority : '');
+    },
+
+    multiple: true
+};
+
+
+// "10 text/plain" <-> { priority: 10, type: 'text/plain' }
+var allowedContentTypeCodec = {
+    decode: function(data) {
+        var s = iconv.decode(data, 'latin1');
+        var m = s.match(/^\s*(\d+)\s+(\S+)\s*$/);
+        return m ? { priority: parseInt(m[1], 10), type: m[2] } : s;
+    },
+
+    encode: function(value) {
+        return typeof value === 'string' ? value : value.priority + ' ' + value.type;
+    },
+
+    multiple: true
+};
+
+
+var pad = function(n) {
+    return n < 10 ? '0' + n : '' + n;
+};
+
+// "2014-10-09 12:34:56 +0200" <-> Date
+var mxDateCodec = {
+    decode: function(data) {
+        var s = iconv.decode(data, 'latin1');
+        var m = s.match(/^\s*(\d{4})-(\d\d)-(\d\d)\s+(\d\d):(\d\d)(?::(\d\d))?(?:\s*([+-])(\d\d):?(\d\d))?/);
+        if (!m) {
+            return s;
+        }
+
+        var fields = m.slice(1, 7).map(function(v) { return v ? parseInt(v, 10) : 0; });
+
+        if (!m[7]) {
+            // No time zone, so assume local time
+            return new Date(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5]);
+        }
+
+        var offset = (parseInt(m[8], 10) * 60 + parseInt(m[9], 10)) * (m[7] === '-' ? -1 : 1);
+        var utc = Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5]);
+        return new Date(utc - offset * 60000);
+    },
+
+    encode: function(value) {
+        if (!(value instanceof Date)) {
+            return String(value);
+        }
+
+        return value.getUTCFullYear() + '-' + pad(value.getUTCMonth() + 1) + '-' +
+            pad(value.getUTCDate()) + ' ' + pad(value.getUTCHours()) + ':' +
+            pad(value.getUTCMinutes()) + ':' + pad(value.getUTCSeconds()) + ' +0000';
+    }
+};
+
+
+register(1, 'contentType', contentTypeCodec);
+register(2, 'fastReply', multipleStringCodec);
+register(3, 'crossReference', crossReferenceCodec);
+register(4, 'noComments', flagCodec);
+register(5, 'personalComment', flagCodec);
+register(6, 'requestConfirmation', flagCodec);
+register(7, 'readConfirm', { decode: flagCodec.decode, encode: flagCodec.encode, multiple: true });
+register(8, 'redirect', redirectCodec);
+register(9, 'xFace', stringCodec);
+register(10, 'alternateName', multipleStringCodec);
+register(11, 'pgpSignature', multipleStringCodec);
+register(12, 'pgpPublicKey', stringCodec);
+register(13, 'emailAddress', multipleStringCodec);
+register(14, 'faqText', multipleNumberCodec);
+register(15, 'creatingSoftware', stringCodec);
+register(16, 'mxAuthor', stringCodec);
+register(17, 'mxFrom', stringCodec);
+register(18, 'mxReplyTo', stringCodec);
+register(19, 'mxTo', multipleStringCodec);
+register(20, 'mxCc', multipleStringCodec);
+register(21, 'mxDate', mxDateCodec);
+register(22, 'mxMessageId', stringCodec);
+register(23, 'mxInReplyTo', multipleStringCodec);
+register(24, 'mxMisc', multipleStringCodec);
+register(25, 'mxAllowFilter', stringCodec);
+register(26, 'mxRejectForward', stringCodec);
+register(27, 'notifyComments', multipleNumberCodec);
+register(28, 'faqForConf', numberCodec);
+register(29, 'recommendedConf', recommendedConfCodec);
+register(30, 'allowedContentType', allowedContentTypeCodec);
+register(31, 'canonicalName', stringCodec);
+register(32, 'mxListName', stringCodec);
+register(33, 'sendCommentsTo', sendCommentsToCodec);
+register(34, 'worldReadable', flagCodec);
+register(35, 'mxRefuseImport', multipleStringCodec);
+register(10100, 'mxMimeBelongsTo', numberCodec);
+register(10101, 'mxMimePartIn', multipleNumberCodec);
+register(10102, 'mxMimeMisc', stringCodec);
+register(10103, 'mxEnvelopeSender', stringCodec);
+register(10104, 'mxMimeFileName', stringCodec);
+
+predefinedTags = {};
+for (var predefined in registry) {
+    if (registry.hasOwnProperty(predefined)) {
+        predefinedTags[predefined] = true;
+    }
+}
+
+
+/** Get the tag number for a tag name or number.
+ */
+var getTag = function(tag) {
+    if (typeof tag === 'string') {
+        if (!tags.hasOwnProperty(tag)) {
+            throw new errors.ClientError('unknown aux item: ' + tag);
+        }
+        return tags[tag];
+    }
+
+    if (typeof tag !== 'number') {
+        throw new errors.ClientError('invalid aux item tag: ' + tag);
+    }
+
+    return tag;
+};
+
+exports.getTag = getTag;
+
+
+/** Decode item with a registered codec.  Since application codecs
+ * are called while parsing server messages, any exceptions they throw
+ * are caught and the data returned as a latin1 string instead.
+ */
+var decodeItem = function(reg, item) {
+    try {
+        return reg.codec.decode(item.data, item);
+    }
+    catch (err) {
+        debug('aux item %s: cannot decode %s: %s', item.tag, reg.name, err);
+        return stringCodec.decode(item.data);
+    }
+};
+
+
+/** Decode the data of a single Aux-Item.
+ *
+ * Return:
+ *  - the decoded value, or the data as a latin1 string if the tag is
+ *    not registered or the data can't be decoded
+ */
+exports.decode = function(item) {
+    var reg = registry[item.tag];
+    return reg ? decodeItem(reg, item) : stringCodec.decode(item.data);
+};
+
+
+/** Decode a list of Aux-Items into an object with properties named
+ * after the registered tags.  Items with unregistered tags or the
+ * deleted flag are left out.  Tags that can occur several times are
+ * decoded into arrays.
+ */
+exports.decodeAll = function(items) {
+    var decoded = {};
+
+    for (var i = 0; i < items.length; i++) {
+        var item = items[i];
+        var reg = registry[item.tag];
+
+        if (!reg || (item.flags && item.flags.deleted)) {
+            continue;
+        }
+
+        var value = decodeItem(reg, item);
+
+        if (reg.codec.multiple) {
+            (decoded[reg.name] = decoded[reg.name] || []).push(value);
+        }
+        else if (!decoded.hasOwnProperty(reg.name)) {
+            decoded[reg.name] = value;
+        }
+    }
+
+    return decoded;
+};
+
+
+/** Encode a value into an Aux-Item-Input.
+ *
+ * Parameters:
+ *  - tag: tag number or name
+ *  - value: value to encode.  Strings and Buffers are used as is.
+ *  - flags: optional AuxItemFlags object
+ *  - inheritLimit: optional inherit limit (default 0)
+ */
+exports.encode = function(tag, value, flags, inheritLimit) {
+    tag = getTag(tag);
+
+    var data = value;
+    if (typeof value !== 'string' && !(value instanceof Buffer)) {
+        var reg = registry[tag];
+        if (!reg) {
+            throw new errors.ClientError('cannot encode unregistered aux item: ' + tag);
+        }
+        data = reg.codec.encode(value);
+    }
+
+    return {
+        tag: tag,
+        flags: flags || {},
+        inheritLimit: inheritLimit || 0,
+        data: data
+    };
+};
+
+
+// The flags that can be set on a new aux item
+var settableFlags = ['inherit', 'secret', 'hideCreator', 'dontGarb'];
+
+var toBuffer = function(data) {
+    return typeof data === 'string' ? iconv.encode(data, 'latin1') : data;
+};
+
+var isSameItem = function(current, input) {
+    if (current.tag !== input.tag || (current.inheritLimit || 0) !== input.inheritLimit) {
+        return false;
+    }
+
+    for (var i = 0; i < settableFlags.length; i++) {
+        var flag = settableFlags[i];
+        var isSet = Boolean(current.flags && current.flags[flag]);
+        if (isSet !== Boolean(input.flags[flag])) {
+            return false;
+        }
+    }
+
+    var a = toBuffer(current.data), b = toBuffer(input.data);
+    if (a.length !== b.length) {
+        return false;
+    }
+
+    for (i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+
+/** Compare the current aux items of a text, conference or the server
+ * with a desired set of items, and find the minimal changes needed.
+ *
+ * An aux item can't be changed, so an item with a different data,
+ * inherit limit or inherit/secret/hideCreator/dontGarb flags is
+ * replaced by deleting the old one and adding a new one.
+ *
+ * Parameters:
+ *  - current: array of Aux-Items, e.g. textStat.auxItems
+ *  - desired: array of { tag, data, flags, inheritLimit } objects,
+ *    where tag can be a name and data a value to be encoded as in
+ *    encode()
+ *  - options:
+ *    - tags: only compare items with these tags (numbers or names),
+ *      leaving the rest alone.  Default is to compare all items,
+ *      deleting any that are not in desired.
+ *
+ * Return:
+ *  - { delete: [auxNo...], add: [Aux-Item-Input...] }
+ */
+exports.diff = function(current, desired, options) {
+    options = options || {};
+
+    var onlyTags = options.tags ? options.tags.map(getTag) : null;
+
+    var add = desired.map(function(item) {
+        return exports.encode(item.tag, item.data, item.flags, item.inheritLimit);
+    });
+
+    var del = [];
+
+    current.forEach(function(item) {
+        if ((item.flags && item.flags.deleted) ||
+            (onlyTags && onlyTags.indexOf(item.tag) < 0)) {
+            return;
+        }
+
+        for (var i = 0; i < add.length; i++) {
+            if (isSameItem(item, add[i])) {
+                // Already there, so no need to add it
+                add.splice(i, 1);
+                return;
+            }
+        }
+
+        del.push(item.auxNo);
+    });
+
+    return { delete: del, add: add };
+};
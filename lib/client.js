@@ -9,24 +9,67 @@
 
 var debug = require('debug')('lyskom-client:client'); // jshint ignore:line
 
+var os = require('os');
 var util = require('util');
 var events = require('events');
 var Promise = require('bluebird');
+var iconv = require('iconv-lite');
 
 var TokenStream = require('./tokenstream');
+var TextMappingIterator = require('./textmapping');
+var iterator = require('./iterator');
+var thread = require('./thread');
+var reply = require('./reply');
+var auxItems = require('./auxitems');
 var protocol = require('./protocol');
 var errors = require('./errors');
 
+// Default reconnect options, see Client
+var defaultReconnect = {
+    initialDelay: 1000,
+    maxDelay: 60000,
+    factor: 2,
+    maxAttempts: Infinity
+};
+
+// Requests that set up the session, which are replayed after
+// reconnecting in this order.  The parameters of the last successful
+// request of each kind are remembered.
+var sessionRequests = ['login', 'setClientVersion', 'acceptAsync', 'changeConference'];
+
+var ignore = function() {};
+
+
 /** LysKOM Client implementation.
+ *
+ * Parameters:
+ *  - socket: a connecting net.Socket, or anything behaving like one:
+ *    a duplex stream with write(), end() and destroy() that emits
+ *    'connect' when it can be written to, and 'data', 'end', 'close',
+ *    'error' and 'drain' like a socket.  localAddress is sent to the
+ *    server if set, otherwise the host name.
+ *  - options:
+ *    - createSocket: function returning a new socket, used when
+ *      reconnecting
+ *    - reconnect: if true or an object, reconnect when the connection
+ *      is lost.  Requires createSocket.  The object can override these
+ *      defaults:
+ *      - initialDelay: ms to wait before the first attempt (1000)
+ *      - maxDelay: max ms to wait between attempts (60000)
+ *      - factor: how much to increase the delay by for each attempt (2)
+ *      - maxAttempts: attempts before giving up (no limit)
+ *    - maxInFlight: max number of requests sent to the server without
+ *      having got a response yet (default no limit).  Other requests
+ *      are queued until a response arrives.
  */
-var Client = function(socket) {
-    this._socket = socket;
-    this._tokenstream = new TokenStream(socket, true);
+var Client = function(socket, options) {
+    options = options || {};
 
     this._state = 'connecting';
 
     this._nextRefNo = 0;
     this._requests = {}; // map from refNo to request info
+    this._abandoned = {}; // map from refNo to { refNo, name, rpc } of timed out or aborted requests
 
     this._currentRequest = null; // currently parsed request info
     this._currentParser = null; // current parser instance, if any
@@ -37,6 +80,220 @@ var Client = function(socket) {
     this._bufferedTokens = null;
     this._requiredTokens = 0;
 
+    this._createSocket = options.createSocket || null;
+    this._reconnect = null;
+
+    if (options.reconnect) {
+        if (!this._createSocket) {
+            throw new errors.ClientError('reconnect requires a createSocket function');
+        }
+
+        this._reconnect = {};
+        for (var opt in defaultReconnect) {
+            if (defaultReconnect.hasOwnProperty(opt)) {
+                this._reconnect[opt] = (options.reconnect[opt] !== undefined ?
+                                        options.reconnect[opt] : defaultReconnect[opt]);
+            }
+        }
+    }
+
+    this._reconnectAttempt = 0;
+    this._reconnectTimer = null;
+    this._connectionNo = 0; // increased for each new socket
+    this._session = {}; // map from session request names to params
+
+    this._maxInFlight = options.maxInFlight !== undefined ? options.maxInFlight : Infinity;
+    if (typeof this._maxInFlight !== 'number' || this._maxInFlight < 1) {
+        throw new errors.ClientError('invalid maxInFlight: ' + options.maxInFlight);
+    }
+
+    this._queue = []; // requests waiting to be sent
+    this._inFlight = 0; // number of requests in this._requests and this._abandoned
+    this._waitingForDrain = false;
+
+    this._closed = null; // promise returned by close()
+    this._resolveClosed = null;
+    this._closeTimer = null;
+
+    this._attachSocket(socket);
+};
+
+util.inherits(Client, events.EventEmitter);
+
+module.exports = Client;
+
+
+/** Number of requests waiting to be sent, because of the maxInFlight
+ * limit, socket backpressure or while reconnecting.
+ */
+Object.defineProperty(Client.prototype, 'queueDepth', {
+    get: function() { return this._queue.length; }
+});
+
+/** Number of requests sent to the server that haven't got a response
+ * yet.
+ */
+Object.defineProperty(Client.prototype, 'inFlight', {
+    get: function() { return this._inFlight; }
+});
+
+/** Close the client connection.
+ *
+ * No new requests can be sent after this.  Requests that are already
+ * queued are sent, and the socket is closed when all responses have
+ * been received.
+ *
+ * Parameters:
+ *  - options:
+ *    - logout: if true, send logout before closing
+ *    - timeout: max ms to wait for the responses.  Requests that are
+ *      still waiting after that are rejected with a ClientError.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves when the socket has closed
+ */
+Client.prototype.close = function(options, cb) {
+    if (typeof options === 'function') {
+        cb = options;
+        options = null;
+    }
+
+    options = options || {};
+
+    if (!this._closed) {
+        this._closed = this._close(options);
+    }
+
+    return this._closed.nodeify(cb);
+};
+
+
+Client.prototype._close = function(options) {
+    var self = this;
+
+    if (this._state === 'closed') {
+        return Promise.resolve();
+    }
+
+    var closed = new Promise(function(resolve) {
+        self._resolveClosed = resolve;
+    });
+
+    debug('closing client in state %s', this._state);
+
+    if (this._state === 'connecting' || this._state === 'reconnecting') {
+        // There is no working connection to wait for
+        var state = this._state;
+        this._state = 'closed';
+        this._detachSocket();
+        this._shutdown(new errors.ClientError('client closed while ' + state));
+        this._onClosed();
+        return closed;
+    }
+
+    this._state = 'closing';
+
+    if (options.logout) {
+        var req = this._makeRequest('logout', {});
+        req.resolve = function() {};
+        req.reject = function(err) {
+            debug('logout on close failed: %s', err);
+        };
+        this._sendRequest(req);
+    }
+
+    if (options.timeout) {
+        this._closeTimer = setTimeout(function() {
+            self._closeTimer = null;
+            debug('timed out waiting for responses');
+            self._endSocket(new errors.ClientError('client closed before response'));
+        }, options.timeout);
+    }
+
+    this._checkClosing();
+    return closed;
+};
+
+
+/** End the socket if closing and there's nothing more to wait for.
+ */
+Client.prototype._checkClosing = function() {
+    if (this._state === 'closing' && !this._queue.length &&
+        this._inFlight === 0 && !this._currentRequest) {
+        this._endSocket(null);
+    }
+};
+
+
+/** End the socket, first abandoning any remaining requests with err
+ * if set.
+ */
+Client.prototype._endSocket = function(err) {
+    if (this._closeTimer) {
+        clearTimeout(this._closeTimer);
+        this._closeTimer = null;
+    }
+
+    debug('closing socket');
+    this._state = 'closed';
+
+    if (err) {
+        // Responses can still arrive until the server has closed the
+        // connection, so abandon the requests as if they timed out
+        var pending = this._queue.slice();
+        for (var refNo in this._requests) {
+            if (this._requests.hasOwnProperty(refNo)) {
+                pending.push(this._requests[refNo]);
+            }
+        }
+
+        pending.forEach(function(req) {
+            this._abandonRequest(req, err);
+        }, this);
+
+        if (this._currentRequest) {
+            // Discard the rest of the response being parsed
+            var current = this._currentRequest;
+            this._currentRequest = null;
+            this._currentTarget = ignore;
+            current.reject(err);
+        }
+    }
+
+    if (this._socket) {
+        this._socket.end();
+    }
+    else {
+        this._onClosed();
+    }
+};
+
+
+/** Settle a promise returned by close(), and emit the close event.
+ */
+Client.prototype._onClosed = function() {
+    if (this._closeTimer) {
+        clearTimeout(this._closeTimer);
+        this._closeTimer = null;
+    }
+
+    if (this._resolveClosed) {
+        this._resolveClosed();
+        this._resolveClosed = null;
+    }
+
+    this.emit('close');
+};
+
+
+Client.prototype._attachSocket = function(socket) {
+    this._socket = socket;
+    this._tokenstream = new TokenStream(socket, true);
+    this._connectionNo++;
+
+    // Responses to abandoned requests won't arrive on a new connection
+    this._abandoned = {};
+
     // Wire up events
     this._socket.on('error', this._onError.bind(this));
     this._socket.once('connect', this._onConnect.bind(this));
@@ -49,27 +306,30 @@ var Client = function(socket) {
     this._tokenstream.on('end', this._onEndOfTokens.bind(this));
 };
 
-util.inherits(Client, events.EventEmitter);
 
-module.exports = Client;
+Client.prototype._detachSocket = function() {
+    if (this._socket) {
+        this._socket.removeAllListeners();
 
-/** Close the client connection.
- *
- * Any unsent requests will be sent and the responses
- * processed before the socket is fully closed.
- */
-Client.prototype.close = function() {
-    // TODO: don't close if there's queued unsent data
-    if (this._state !== 'closed') {
-        debug('closing socket');
+        // Ignore anything the dying socket might still report
+        this._socket.on('error', function() {});
 
-        this._state = 'closed';
-        if (this._socket) {
-            this._socket.end();
-        }
+        this._socket.destroy();
+        this._socket = null;
+    }
+
+    if (this._tokenstream) {
+        this._tokenstream.removeAllListeners();
+        this._tokenstream = null;
     }
+
+    this._currentParser = null;
+    this._currentTarget = null;
+    this._bufferedTokens = null;
+    this._requiredTokens = 0;
 };
 
+
 /** Client event: error
  *
  * Emitted on connection-level errors.  The client connection will be
@@ -79,10 +339,32 @@ Client.prototype.close = function() {
  *
  * Request-specific errors are not emitted as 'error' events.  They
  * only cause the corresponding request to be rejected.
+ *
+ * In reconnect mode, errors from the connection are not emitted, but
+ * instead cause a reconnect.  Only protocol errors, or failing to
+ * reconnect, are emitted.
  */
 Client.prototype._onError = function(err) {
     debug('error: %s', err);
 
+    if (this._shouldReconnect() && !(err instanceof errors.ProtocolError)) {
+        this._connectionLost(err);
+        return;
+    }
+
+    this._fail(err);
+};
+
+
+/** Only reconnect if the connection has been opened before, and
+ * hasn't been closed by us.
+ */
+Client.prototype._shouldReconnect = function() {
+    return this._reconnect && (this._state === 'open' || this._state === 'reconnecting');
+};
+
+
+Client.prototype._fail = function(err) {
     // Shut down and reject all pending requests, since the
     // probability is very high that this is unrecoverable.  In
     // theory, some ServerErrors could allow us to keep running, but
@@ -93,14 +375,38 @@ Client.prototype._onError = function(err) {
         this._socket.destroy();
         this._socket = null;
     }
-    this._tokenstream.removeAllListeners();
-    this._tokenstream = null;
+    if (this._tokenstream) {
+        this._tokenstream.removeAllListeners();
+        this._tokenstream = null;
+    }
 
     this.emit('closed');
     this._state = 'closed';
 
     this.emit('error', err);
 
+    this._shutdown(err);
+
+    if (this._closeTimer) {
+        clearTimeout(this._closeTimer);
+        this._closeTimer = null;
+    }
+
+    if (this._resolveClosed) {
+        this._resolveClosed();
+        this._resolveClosed = null;
+    }
+};
+
+
+/** Reject all requests that are waiting for a response or to be sent.
+ */
+Client.prototype._shutdown = function(err) {
+    if (this._reconnectTimer) {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+    }
+
     if (this._currentRequest) {
         this._currentRequest.reject(err);
         this._currentRequest = null;
@@ -115,14 +421,192 @@ Client.prototype._onError = function(err) {
     }
 
     this._requests = {};
+    this._abandoned = {};
+
+    this._inFlight = 0;
+
+    var queue = this._queue;
+    this._queue = [];
+    queue.forEach(function(req) {
+        req.reject(err);
+    });
+};
+
+
+/** Client event: reconnecting
+ *
+ * Emitted in reconnect mode when the connection has been lost, with
+ * an object with these properties:
+ *  - attempt: the number of the next reconnect attempt, from 1
+ *  - delay: ms until the attempt
+ *  - error: the error that caused the reconnect
+ *
+ * Requests can still be made while reconnecting.  They are queued
+ * until the session has been restored.
+ */
+
+/** Client event: reconnected
+ *
+ * Emitted in reconnect mode when a new connection has been set up,
+ * and the login, client version, accepted async messages and current
+ * conference have been restored.
+ */
+
+Client.prototype._connectionLost = function(err) {
+    debug('connection lost: %s', err);
+
+    this._detachSocket();
+    this._state = 'reconnecting';
+
+    // Requests that can be sent again are put first in the queue
+    // until the session has been restored, the rest are rejected
+    // since we can't tell if they were carried out
+    var lost = [];
+    var retry = [];
+    var refNo;
+
+    if (this._currentRequest) {
+        lost.push(this._currentRequest);
+        this._currentRequest = null;
+    }
+
+    for (refNo in this._requests) {
+        if (this._requests.hasOwnProperty(refNo)) {
+            lost.push(this._requests[refNo]);
+        }
+    }
+
+    this._requests = {};
+    this._inFlight = 0;
+    this._waitingForDrain = false;
+
+    var lostError = new errors.ConnectionLostError('connection lost: ' + err.message);
+
+    for (var i = 0; i < lost.length; i++) {
+        var req = lost[i];
+
+        if (req.abandoned) {
+            // Already rejected when it timed out or was aborted
+            continue;
+        }
+
+        if (req.rpc.idempotent && !req.internal) {
+            debug('%s(%s): will retry', req.name, req.refNo);
+            retry.push(req);
+        }
+        else {
+            debug('%s(%s): %s', req.name, req.refNo, lostError);
+            req.reject(lostError);
+        }
+    }
+
+    retry.sort(function(a, b) { return a.refNo - b.refNo; });
+    this._queue = retry.concat(this._queue);
+
+    this._scheduleReconnect(err);
+};
+
+
+Client.prototype._scheduleReconnect = function(err) {
+    var opts = this._reconnect;
+
+    if (this._reconnectAttempt >= opts.maxAttempts) {
+        debug('giving up after %s attempts', this._reconnectAttempt);
+        this._fail(err);
+        return;
+    }
+
+    var delay = Math.min(opts.initialDelay * Math.pow(opts.factor, this._reconnectAttempt),
+                         opts.maxDelay);
+    this._reconnectAttempt++;
+
+    debug('reconnect attempt %s in %s ms', this._reconnectAttempt, delay);
+    this.emit('reconnecting', { attempt: this._reconnectAttempt, delay: delay, error: err });
+
+    this._reconnectTimer = setTimeout(function() {
+        this._reconnectTimer = null;
+
+        try {
+            this._attachSocket(this._createSocket());
+        }
+        catch (socketErr) {
+            this._scheduleReconnect(socketErr);
+        }
+    }.bind(this), delay);
+};
+
+
+/** Replay the session requests on a new connection, and then send
+ * any queued requests.
+ */
+Client.prototype._restoreSession = function() {
+    var self = this;
+    var connectionNo = this._connectionNo;
+
+    var restore = function(i) {
+        if (i >= sessionRequests.length) {
+            return Promise.resolve();
+        }
+
+        var name = sessionRequests[i];
+        var params = self._session[name];
+        if (!params) {
+            return restore(i + 1);
+        }
+
+        debug('restoring %s', name);
+        return self._sendInternal(name, params)
+            .catch(errors.RequestError, function(err) {
+                // Without the login there's no session to restore,
+                // but the rest are just nice to have
+                if (name === 'login') {
+                    throw err;
+                }
+
+                debug('could not restore %s: %s', name, err);
+                delete self._session[name];
+            })
+            .then(function() {
+                return restore(i + 1);
+            });
+    };
+
+    // Use done() so that errors from sending the queue or from
+    // reconnected listeners are thrown instead of being swallowed
+    restore(0)
+        .done(function() {
+            if (connectionNo !== self._connectionNo || self._state !== 'reconnecting') {
+                // Lost the connection again, or closed
+                return;
+            }
+
+            debug('session restored, %s queued requests', self._queue.length);
+            self._reconnectAttempt = 0;
+            self._state = 'open';
+            self._flushQueue();
+
+            self.emit('reconnected');
+        }, function(err) {
+            if (connectionNo === self._connectionNo && self._state === 'reconnecting' &&
+                !(err instanceof errors.ConnectionLostError)) {
+                debug('could not restore session: %s', err);
+                self._fail(err);
+            }
+        });
 };
 
 
 Client.prototype._onConnect = function() {
+    if (this._state === 'closed') {
+        debug('connected after close, ignoring');
+        return;
+    }
+
     debug('connected to server, sending handshake');
 
     var user = process.env.USER || 'node';
-    var host = this._socket.localAddress;
+    // Unix sockets and other streams have no local address
+    var host = this._socket.localAddress || os.hostname();
     var connInfo = new Buffer(user + '%' + host);
     var handshake = Buffer.concat([new Buffer('A' + connInfo.length + 'H'), connInfo, new Buffer('\n')]);
 
@@ -131,7 +615,8 @@ Client.prototype._onConnect = function() {
 
 
 Client.prototype._onSocketDrain = function() {
-    // TODO: do we need to wait on this before sending more?
+    this._waitingForDrain = false;
+    this._flushQueue();
 };
 
 
@@ -141,12 +626,22 @@ Client.prototype._onSocketDrain = function() {
  */
 Client.prototype._onSocketClose = function() {
     debug('connection closed');
+
+    if (this._shouldReconnect()) {
+        this._connectionLost(new errors.ConnectionLostError('connection closed'));
+        return;
+    }
+
     if (this._socket) {
         this._socket.removeAllListeners();
         this._socket = null;
     }
     this._state = 'closed';
-    this.emit('close');
+
+    // Nothing more will arrive for any remaining requests
+    this._shutdown(new errors.ClientError('connection closed'));
+
+    this._onClosed();
 };
 
 
@@ -158,6 +653,12 @@ Client.prototype._onSocketClose = function() {
  */
 Client.prototype._onHandshake = function() {
     debug('handshake complete');
+
+    if (this._state === 'reconnecting') {
+        this._restoreSession();
+        return;
+    }
+
     this._state = 'open';
     this.emit('connect');
 };
@@ -220,6 +721,11 @@ Client.prototype._onTokens = function(tokens) {
 
 
 Client.prototype._onEndOfTokens = function() {
+    if (this._shouldReconnect()) {
+        // Will reconnect when the socket closes
+        return;
+    }
+
     if (this._currentParser || this._requiredTokens > 0) {
         this._protocolError('unexpected end of data');
     }
@@ -249,10 +755,18 @@ Client.prototype._parseMessage = function(tokens) {
     // All done
     this._currentTarget(this._currentParser.getMessage());
 
+    var wasRequest = this._currentRequest !== null;
+
     this._currentRequest = null;
     this._currentParser = null;
     this._currentTarget = null;
 
+    if (wasRequest) {
+        // Room for another request
+        this._flushQueue();
+        this._checkClosing();
+    }
+
     // Let token parsing continue if there's anything left
     return remaining;
 };
@@ -272,8 +786,7 @@ Client.prototype._parseResponse = function(tokens) {
     var refNo = tokens[1].value;
     tokens = tokens.slice(2);
 
-    var req = this._requests[refNo];
-    delete this._requests[refNo];
+    var req = this._takeRequest(refNo);
     if (!req) {
         return this._protocolError('unexpected reply refNo: ' + refNo);
     }
@@ -282,7 +795,10 @@ Client.prototype._parseResponse = function(tokens) {
 
     this._currentRequest = req;
     this._currentParser = req.rpc.getResponseParser();
-    this._currentTarget = req.resolve;
+    this._currentTarget = function(msg) {
+        this._updateSession(req);
+        req.resolve(msg);
+    }.bind(this);
 
     // Shortcut into parsing the message, which nicely handles the
     // case where an empty response would otherwise not be parsed
@@ -305,8 +821,7 @@ Client.prototype._parseError = function(tokens) {
     var refNo = tokens[1].value;
     tokens = tokens.slice(2);
 
-    var req = this._requests[refNo];
-    delete this._requests[refNo];
+    var req = this._takeRequest(refNo);
     if (!req) {
         return this._protocolError('unexpected reply refNo: ' + refNo);
     }
@@ -315,7 +830,7 @@ Client.prototype._parseError = function(tokens) {
     this._currentParser = req.rpc.getErrorParser();
     this._currentTarget = function(msg) {
         msg.errorName = protocol.errorCodes[msg.errorCode] || ('error-' + msg.errorCode);
-        var err = new errors.RequestError(msg);
+        var err = errors.createRequestError(msg);
         debug('%s(%s): %s', req.name, refNo, err);
         req.reject(err);
     };
@@ -325,6 +840,30 @@ Client.prototype._parseError = function(tokens) {
 };
 
 
+/** Find and remove the request for a response.  Responses to
+ * abandoned requests are still parsed, but since the request promise
+ * has already been rejected they are just discarded.
+ */
+Client.prototype._takeRequest = function(refNo) {
+    var req = this._requests[refNo];
+    if (req) {
+        delete this._requests[refNo];
+        this._inFlight--;
+        return req;
+    }
+
+    req = this._abandoned[refNo];
+    if (req) {
+        delete this._abandoned[refNo];
+        this._inFlight--;
+        debug('%s(%s): discarding late response', req.name, refNo);
+        return req;
+    }
+
+    return null;
+};
+
+
 var getAsyncTarget = function(client, async) {
     return function(msg) {
         debug('async %s: %j', async.name, msg);
@@ -394,46 +933,251 @@ Client.prototype._protocolError = function(msg) {
 // Populate the client with methods for all requests.
 //
 
-var generateMethod = function(name, rpc) {
-    Client.prototype[name] = function(params, cb) {
-        if (this._state !== 'open') {
+/** Remember the parameters of successful session requests, so they
+ * can be replayed after reconnecting.
+ */
+Client.prototype._updateSession = function(req) {
+    if (req.abandoned) {
+        // The caller has already been told that it failed
+        return;
+    }
+
+    if (req.name === 'logout') {
+        delete this._session.login;
+        delete this._session.changeConference;
+    }
+    else if (sessionRequests.indexOf(req.name) >= 0) {
+        this._session[req.name] = req.params;
+    }
+};
+
+
+/** Queue a request, and send it if possible.  Internal requests are
+ * sent directly.
+ */
+Client.prototype._sendRequest = function(req) {
+    if (req.internal) {
+        this._writeRequest(req);
+    }
+    else {
+        this._queue.push(req);
+        this._flushQueue();
+    }
+};
+
+
+/** Send queued requests while the client is open or closing, the
+ * number of requests in flight is below the limit, and the socket
+ * isn't full.
+ */
+Client.prototype._flushQueue = function() {
+    while (this._queue.length && (this._state === 'open' || this._state === 'closing') &&
+           !this._waitingForDrain && this._inFlight < this._maxInFlight) {
+        this._writeRequest(this._queue.shift());
+    }
+};
+
+
+Client.prototype._writeRequest = function(req) {
+    this._requests[req.refNo] = req;
+    this._inFlight++;
+
+    // Check for an explicit false, since not all streams return anything
+    if (this._socket.write(req.msg) === false) {
+        debug('waiting for socket drain');
+        this._waitingForDrain = true;
+    }
+};
+
+
+/** Create request info, formatting the request message.
+ */
+Client.prototype._makeRequest = function(name, params, internal) {
+    var rpc = protocol.rpc[name];
+    var refNo = this._nextRefNo;
+    var msg = rpc.formatRequest(refNo, params);
+    this._nextRefNo++;
+
+    return {
+        refNo: refNo,
+        name: name,
+        rpc: rpc,
+        params: params,
+        msg: msg,
+        resolve: null,
+        reject: null,
+        internal: !!internal
+    };
+};
+
+
+/** Send a request while restoring the session, bypassing the
+ * queue.
+ */
+Client.prototype._sendInternal = function(name, params) {
+    var req = this._makeRequest(name, params, true);
+
+    return new Promise(function(resolve, reject) {
+        req.resolve = resolve;
+        req.reject = reject;
+        this._sendRequest(req);
+    }.bind(this));
+};
+
+
+/** Set up the timeout and abort signal of a request, wrapping
+ * req.resolve and req.reject so they only settle it once.
+ *
+ * Return:
+ *  - false if the signal is already aborted, and the request has been
+ *    rejected without being sent
+ */
+Client.prototype._watchRequest = function(req, options) {
+    var self = this;
+    var signal = options.signal;
+
+    if (!options.timeout && !signal) {
+        return true;
+    }
+
+    if (signal && signal.aborted) {
+        req.reject(new errors.AbortError(req.name + ' aborted'));
+        return false;
+    }
+
+    var resolve = req.resolve;
+    var reject = req.reject;
+    var settled = false;
+    var timer = null;
+
+    var onAbort = function() {
+        self._abandonRequest(req, new errors.AbortError(req.name + ' aborted'));
+    };
+
+    var settle = function() {
+        settled = true;
+
+        if (timer) {
+            clearTimeout(timer);
+        }
+
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    };
+
+    req.resolve = function(msg) {
+        if (!settled) {
+            settle();
+            resolve(msg);
+        }
+    };
+
+    req.reject = function(err) {
+        if (!settled) {
+            settle();
+            reject(err);
+        }
+    };
+
+    if (options.timeout) {
+        timer = setTimeout(function() {
+            self._abandonRequest(req, new errors.TimeoutError(
+                req.name + ' timed out after ' + options.timeout + ' ms'));
+        }, options.timeout);
+    }
+
+    if (signal) {
+        signal.addEventListener('abort', onAbort);
+    }
+
+    return true;
+};
+
+
+/** Reject a request that timed out or was aborted.  If it has already
+ * been sent the server will still respond, so remember it and keep
+ * counting it as in flight until then.
+ */
+Client.prototype._abandonRequest = function(req, err) {
+    // Also when the response is being parsed, so it doesn't update
+    // the session when done
+    req.abandoned = true;
+
+    var i = this._queue.indexOf(req);
+
+    if (i >= 0) {
+        this._queue.splice(i, 1);
+    }
+    else if (this._requests[req.refNo] === req) {
+        // The server is still working on it, so it stays in flight
+        // until the response arrives
+        delete this._requests[req.refNo];
+
+        // Only keep what's needed to parse the response
+        this._abandoned[req.refNo] = {
+            refNo: req.refNo,
+            name: req.name,
+            rpc: req.rpc,
+            abandoned: true,
+            resolve: ignore,
+            reject: ignore
+        };
+    }
+
+    debug('%s(%s): %s', req.name, req.refNo, err);
+    req.reject(err);
+
+    this._checkClosing();
+};
+
+
+/** Generate a method sending a request.
+ *
+ * Parameters:
+ *  - params: request parameters
+ *  - options:
+ *    - timeout: reject with a TimeoutError if there's no response
+ *      within this many ms
+ *    - signal: AbortSignal, rejecting with an AbortError when aborted
+ *  - cb: optional callback, otherwise a Bluebird Promise is returned
+ */
+var generateMethod = function(name) {
+    Client.prototype[name] = function(params, options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        if (this._state !== 'open' && this._state !== 'reconnecting') {
             throw new errors.ClientError('cannot send requests in this state: ' + this._state);
         }
 
-        var refNo = this._nextRefNo;
-        var msg = rpc.formatRequest(refNo, params);
-        this._nextRefNo++;
+        var req = this._makeRequest(name, params);
+
+        var send = function(resolve, reject) {
+            req.resolve = resolve;
+            req.reject = reject;
+
+            if (this._watchRequest(req, options)) {
+                this._sendRequest(req);
+            }
+        }.bind(this);
 
         if (typeof cb === 'function') {
-            this._requests[refNo] = {
-                name: name,
-                rpc: rpc,
-                resolve: function(msg) { cb(null, msg); },
-                reject: cb
-            };
-
-            // TODO: limit number of requests in flight
-            this._socket.write(msg);
+            send(function(msg) { cb(null, msg); }, cb);
         }
         else {
-            return new Promise(function(resolve, reject) {
-                this._requests[refNo] = {
-                    name: name,
-                    rpc: rpc,
-                    resolve: resolve,
-                    reject: reject
-                };
-
-                // TODO: limit number of requests in flight
-                this._socket.write(msg);
-            }.bind(this));
+            return new Promise(send);
         }
     };
 };
 
 for (var n in protocol.rpc) {
     if (protocol.rpc.hasOwnProperty(n)) {
-        generateMethod(n, protocol.rpc[n]);
+        generateMethod(n);
     }
 }
 
@@ -466,3 +1210,260 @@ Client.prototype.getDate = function(cb) {
         return p;
     }
 };
+
+
+// Texts without a content-type aux item are plain KOM texts
+var defaultContentType = 'x-kom/text';
+var defaultCharset = 'latin1';
+
+/** Extract content type and charset from the decoded aux items of a text.
+ */
+var getContentType = function(aux) {
+    var contentType = defaultContentType;
+    var charset = defaultCharset;
+
+    var ct = aux.contentType;
+    if (ct) {
+        contentType = ct.type;
+
+        if (ct.params.charset && iconv.encodingExists(ct.params.charset)) {
+            charset = ct.params.charset.toLowerCase();
+        }
+    }
+
+    return { contentType: contentType, charset: charset };
+};
+
+
+/** Fetch a text with its Text-Stat, and decode it into subject and
+ * body according to the charset in the content-type aux item.
+ * Texts without a charset are decoded as latin1.
+ *
+ * Return an object with these properties:
+ *  - textNo: the text number
+ *  - textStat: the Text-Stat of the text
+ *  - contentType: the content type, without parameters
+ *  - charset: the charset used to decode the text
+ *  - subject: the first line of the text as a string
+ *  - body: the rest of the text as a string, or as a Buffer
+ *          if the content type isn't text
+ */
+Client.prototype.readText = function(textNo, cb) {
+    return Promise.props({
+        textStat: this.getTextStat({ textNo: textNo }),
+        text: this.getText({ text: textNo, startChar: 0, endChar: 0x7fffffff })
+    })
+    .then(function(res) {
+        var ct = getContentType(res.textStat.aux);
+        var isText = /^(text|x-kom)\//.test(ct.contentType);
+
+        var text = res.text;
+        var subject, body;
+
+        if (isText) {
+            text = iconv.decode(text, ct.charset);
+            var nl = text.indexOf('\n');
+            subject = nl < 0 ? text : text.slice(0, nl);
+            body = nl < 0 ? '' : text.slice(nl + 1);
+        }
+        else {
+            // Only decode the subject, leaving the body as raw data
+            var nlByte = Array.prototype.indexOf.call(text, 0x0a);
+            subject = iconv.decode(nlByte < 0 ? text : text.slice(0, nlByte), ct.charset);
+            body = nlByte < 0 ? new Buffer(0) : text.slice(nlByte + 1);
+        }
+
+        return {
+            textNo: textNo,
+            textStat: res.textStat,
+            contentType: ct.contentType,
+            charset: ct.charset,
+            subject: subject,
+            body: body
+        };
+    })
+    .nodeify(cb);
+};
+
+
+/** Iterate over the local to global text number mapping of a
+ * conference.
+ *
+ * Options:
+ *  - first: first local text number (default 1)
+ *  - batchSize: number of texts to ask for in each request (default 100)
+ *
+ * Return:
+ *  - TextMappingIterator, which resolves { localNo, textNo } pairs
+ *    in increasing local number order.
+ */
+Client.prototype.localToGlobalIterator = function(confNo, options) {
+    return new TextMappingIterator(this, confNo, options);
+};
+
+
+/** Fetch all members of a conference, sending as many get-members
+ * requests as necessary.
+ *
+ * Options:
+ *  - batchSize: number of members to ask for in each request (default 100)
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to an array of Member objects
+ */
+Client.prototype.getAllMembers = function(confNo, options, cb) {
+    if (typeof options === 'function') {
+        cb = options;
+        options = null;
+    }
+
+    var self = this;
+    var batchSize = (options && options.batchSize) || 100;
+
+    var getBatch = function(first, count) {
+        return self.getMembers({ conf: confNo, first: first, noOfMembers: count });
+    };
+
+    return iterator.fetchAll(getBatch, batchSize)
+        .nodeify(cb);
+};
+
+
+/** Fetch the comment tree that a text is part of, walking up to the
+ * root of the thread and then down through all comments and
+ * footnotes.  Deleted or unreadable texts are left out.
+ *
+ * Options:
+ *  - findRoot: if false, start at textNo instead of the root (default true)
+ *  - maxAncestors: max number of levels to walk up (default no limit)
+ *  - maxDepth: max number of levels below the root (default no limit)
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to the root node.  Each node has
+ *    the properties textNo, textStat, depth, comments and footnotes,
+ *    the last two being arrays of nodes.
+ */
+Client.prototype.getThread = function(textNo, options, cb) {
+    if (typeof options === 'function') {
+        cb = options;
+        options = null;
+    }
+
+    return thread.getThread(this, textNo, options).nodeify(cb);
+};
+
+
+/** Iterate over the comment tree that a text is part of in
+ * depth-first order, fetching the texts as needed.
+ *
+ * Takes the same options as getThread().
+ *
+ * Return:
+ *  - ThreadIterator, which resolves { textNo, textStat, depth, parent }
+ *    objects
+ */
+Client.prototype.threadIterator = function(textNo, options) {
+    return new thread.ThreadIterator(this, textNo, options);
+};
+
+
+/** Write a comment to a text, choosing recipients the same way as the
+ * elisp client: the recipients of the commented text are copied,
+ * following any send-comments-to and redirect aux items on them.  If
+ * the text has a personal-comment aux item, the comment is only sent
+ * to the author.
+ *
+ * Parameters:
+ *  - textNo: the text to comment
+ *  - body: the body of the comment, as a string or a Buffer
+ *  - options:
+ *    - subject: subject (default is the subject of the commented text)
+ *    - contentType, charset: passed to TextBuilder.contentType()
+ *      (default is the content type and charset of the commented text)
+ *    - personal: if true, only send the comment to the author
+ *    - fast: if true, add body as a fast-reply aux item to the text
+ *      instead of creating a new text
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to the new text number (or null for
+ *    fast replies)
+ */
+Client.prototype.reply = function(textNo, body, options, cb) {
+    if (typeof options === 'function') {
+        cb = options;
+        options = null;
+    }
+
+    return reply.reply(this, textNo, body, options).nodeify(cb);
+};
+
+
+/** Send a modify request with the changes needed to turn the current
+ * aux items into the desired ones, unless there are no changes.
+ */
+var updateAuxItems = function(current, desired, options, modify) {
+    var changes = auxItems.diff(current, desired, options);
+
+    if (!changes.delete.length && !changes.add.length) {
+        return Promise.resolve(changes);
+    }
+
+    debug('aux item changes: delete %j, add %s items', changes.delete, changes.add.length);
+    return modify(changes).return(changes);
+};
+
+
+/** Update the aux items of a text to match a desired set of items,
+ * sending a single modify-text-info request with the minimal changes.
+ *
+ * Parameters:
+ *  - textNo: the text to update
+ *  - desired: array of { tag, data, flags, inheritLimit }, see
+ *    auxitems.diff() for details
+ *  - options:
+ *    - tags: only change items with these tags (default all items)
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to the { delete, add } changes
+ *    made, which are empty if nothing needed to change
+ */
+Client.prototype.updateTextAuxItems = function(textNo, desired, options, cb) {
+    if (typeof options === 'function') {
+        cb = options;
+        options = null;
+    }
+
+    var self = this;
+
+    return this.getTextStat({ textNo: textNo })
+        .then(function(textStat) {
+            return updateAuxItems(textStat.auxItems, desired, options, function(changes) {
+                return self.modifyTextInfo({ text: textNo, delete: changes.delete, add: changes.add });
+            });
+        })
+        .nodeify(cb);
+};
+
+
+/** Update the aux items of a conference to match a desired set of
+ * items, sending a single modify-conf-info request with the minimal
+ * changes.
+ *
+ * Takes the same parameters and options as updateTextAuxItems().
+ */
+Client.prototype.updateConfAuxItems = function(confNo, desired, options, cb) {
+    if (typeof options === 'function') {
+        cb = options;
+        options = null;
+    }
+
+    var self = this;
+
+    return this.getConfStat({ confNo: confNo })
+        .then(function(conf) {
+            return updateAuxItems(conf.auxItems, desired, options, function(changes) {
+                return self.modifyConfInfo({ conf: confNo, delete: changes.delete, add: changes.add });
+            });
+        })
+        .nodeify(cb);
+};
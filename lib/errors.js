@@ -45,6 +45,43 @@ util.inherits(ClientError, Error);
 exports.ClientError = ClientError;
 
 
+/** The connection to the server was lost before a request got a
+ * response.
+ */
+var ConnectionLostError = function(message) {
+    this.message = message;
+    this.name = "ConnectionLostError";
+    Error.captureStackTrace(this, ConnectionLostError);
+};
+
+util.inherits(ConnectionLostError, Error);
+exports.ConnectionLostError = ConnectionLostError;
+
+
+/** A request didn't get a response within its timeout.
+ */
+var TimeoutError = function(message) {
+    this.message = message;
+    this.name = "TimeoutError";
+    Error.captureStackTrace(this, TimeoutError);
+};
+
+util.inherits(TimeoutError, Error);
+exports.TimeoutError = TimeoutError;
+
+
+/** A request was aborted by its AbortSignal.
+ */
+var AbortError = function(message) {
+    this.message = message;
+    this.name = "AbortError";
+    Error.captureStackTrace(this, AbortError);
+};
+
+util.inherits(AbortError, Error);
+exports.AbortError = AbortError;
+
+
 /** Request-specific error.
  *
  * Properties:
@@ -63,3 +100,45 @@ var RequestError = function(info) {
 
 util.inherits(RequestError, Error);
 exports.RequestError = RequestError;
+
+
+/** Define a RequestError subclass for a specific protocol error.
+ */
+var requestErrorClass = function(name) {
+    var cls = function(info) {
+        RequestError.call(this, info);
+        this.name = name;
+        Error.captureStackTrace(this, cls);
+    };
+
+    util.inherits(cls, RequestError);
+    return cls;
+};
+
+
+// Specific request errors, mapped from the protocol error names.
+// These are all RequestError subclasses, so catching RequestError
+// will still catch them all.
+
+var requestErrorClasses = {
+    'no-such-text': exports.NoSuchTextError = requestErrorClass('NoSuchTextError'),
+    'illegal-info-type': exports.IllegalInfoTypeError = requestErrorClass('IllegalInfoTypeError'),
+    'already-recipient': exports.AlreadyRecipientError = requestErrorClass('AlreadyRecipientError'),
+    'already-comment': exports.AlreadyCommentError = requestErrorClass('AlreadyCommentError'),
+    'already-footnote': exports.AlreadyFootnoteError = requestErrorClass('AlreadyFootnoteError'),
+    'not-recipient': exports.NotRecipientError = requestErrorClass('NotRecipientError'),
+    'not-comment': exports.NotCommentError = requestErrorClass('NotCommentError'),
+    'not-footnote': exports.NotFootnoteError = requestErrorClass('NotFootnoteError'),
+    'recipient-limit': exports.RecipientLimitError = requestErrorClass('RecipientLimitError'),
+    'comment-limit': exports.CommentLimitError = requestErrorClass('CommentLimitError'),
+    'footnote-limit': exports.FootnoteLimitError = requestErrorClass('FootnoteLimitError'),
+};
+
+
+/** Create a RequestError, using a specific subclass if there is one
+ * for the error name.
+ */
+exports.createRequestError = function(info) {
+    var Cls = requestErrorClasses[info.errorName] || RequestError;
+    return new Cls(info);
+};
@@ -0,0 +1,86 @@
+/* LysKOM protocol A iterator helpers
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+/* global Symbol */
+
+var Promise = require('bluebird');
+
+var errors = require('./errors');
+
+
+/** Make an iterator class follow the async iterator protocol, so it
+ * can be used in for-await loops where supported, and add a forEach()
+ * method to it.
+ *
+ * The class must have a next() method returning a promise that
+ * resolves to { done, value } objects.
+ *
+ * forEach(fn) calls fn with each remaining value.  If fn returns a
+ * promise, the iteration waits for it before continuing.  It returns
+ * a Bluebird Promise, which resolves when all values have been
+ * processed.
+ */
+exports.mixin = function(Iterator) {
+    Iterator.prototype.forEach = function(fn) {
+        var self = this;
+
+        var loop = function() {
+            return self.next().then(function(res) {
+                if (res.done) {
+                    return;
+                }
+
+                return Promise.resolve(fn(res.value)).then(loop);
+            });
+        };
+
+        return loop();
+    };
+
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+        Iterator.prototype[Symbol.asyncIterator] = function() {
+            return this;
+        };
+    }
+};
+
+
+/** Fetch a whole list that the server hands out in batches, such as
+ * memberships or conference members.
+ *
+ * getBatch(first, count) should return a promise resolving to an
+ * array of at most count items, starting at index first.
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to an array of all items
+ */
+exports.fetchAll = function(getBatch, batchSize) {
+    var items = [];
+
+    var loop = function(first) {
+        return Promise.resolve(getBatch(first, batchSize))
+            .then(function(batch) {
+                items = items.concat(batch);
+                if (batch.length === batchSize) {
+                    return loop(first + batchSize);
+                }
+            })
+            .catch(errors.RequestError, function(err) {
+                // Asking past the end when the previous batch ended
+                // exactly on the last item
+                if (first === 0 || err.errorName !== 'index-out-of-range') {
+                    throw err;
+                }
+            });
+    };
+
+    return loop(0).then(function() {
+        return items;
+    });
+};
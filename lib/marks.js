@@ -0,0 +1,289 @@
+/* LysKOM protocol A text marks
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:marks');
+
+var Promise = require('bluebird');
+
+var errors = require('./errors');
+var iterator = require('./iterator');
+
+
+var checkType = function(type) {
+    if (typeof type !== 'number' || type < 0 || type > 255 || type % 1 !== 0) {
+        throw new errors.ClientError('invalid mark type: ' + type);
+    }
+};
+
+
+/** Iterate over a list of marked texts, fetching their Text-Stats.
+ *
+ * Texts that no longer exist, e.g. because they have been garbage
+ * collected, don't stop the iteration.  They are returned with a null
+ * textStat and the error in error.  Other errors reject next().
+ *
+ * Use next() or forEach(), which get { textNo, type, name,
+ * textStat, error } objects, or a for-await loop where supported (see
+ * iterator.mixin()).
+ */
+var MarkedTextIterator = function(marks, textNos) {
+    this._marks = marks;
+    this._textNos = textNos.slice();
+};
+
+/** Get the next marked text.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves to an object with these properties:
+ *    - done: true if there are no more texts
+ *    - value: { textNo, type, name, textStat, error } if not done
+ */
+MarkedTextIterator.prototype.next = function() {
+    if (!this._textNos.length) {
+        return Promise.resolve({ done: true, value: undefined });
+    }
+
+    var textNo = this._textNos.shift();
+    var type = this._marks.getMarkType(textNo);
+    var value = {
+        textNo: textNo,
+        type: type,
+        name: this._marks.getTypeName(type),
+        textStat: null,
+        error: null
+    };
+
+    return this._marks._client.getTextStat({ textNo: textNo })
+        .then(function(textStat) {
+            value.textStat = textStat;
+        })
+        .catch(errors.NoSuchTextError, function(err) {
+            debug('marked text %s: %s', textNo, err);
+            value.error = err;
+        })
+        .then(function() {
+            return { done: false, value: value };
+        });
+};
+
+
+iterator.mixin(MarkedTextIterator);
+
+
+/** Keep track of the texts marked by the logged in person, grouped
+ * by mark type.
+ *
+ * Mark types are numbers 0-255 in the protocol, which applications
+ * can give names to.  All methods that take a mark type accept
+ * either the number or a name.
+ *
+ * Parameters:
+ *  - client: Client object, logged in
+ *  - options:
+ *    - names: object mapping mark type numbers to names,
+ *      e.g. { 100: 'todo' }
+ *
+ * The marks must be loaded with load() before they are used.
+ */
+var Marks = function(client, options) {
+    options = options || {};
+
+    this._client = client;
+
+    // Map of textNo to mark type
+    this._marks = {};
+
+    this._typeNames = {};
+    this._nameTypes = {};
+
+    var names = options.names || {};
+    for (var type in names) {
+        if (names.hasOwnProperty(type)) {
+            this.nameType(parseInt(type, 10), names[type]);
+        }
+    }
+};
+
+module.exports = Marks;
+
+Marks.MarkedTextIterator = MarkedTextIterator;
+
+
+/** Load all marks from the server, replacing any already loaded.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves to this object when loaded
+ */
+Marks.prototype.load = function(cb) {
+    var self = this;
+
+    return this._client.getMarks()
+        .then(function(marks) {
+            self._marks = {};
+            marks.forEach(function(mark) {
+                self._marks[mark.textNo] = mark.type;
+            });
+
+            debug('loaded %s marks', marks.length);
+            return self;
+        })
+        .nodeify(cb);
+};
+
+
+/** Give a name to a mark type.  A name can only be used for one type,
+ * and each type only has one name.
+ */
+Marks.prototype.nameType = function(type, name) {
+    checkType(type);
+
+    if (typeof name !== 'string' || !name) {
+        throw new errors.ClientError('invalid mark type name: ' + name);
+    }
+
+    if (this._nameTypes.hasOwnProperty(name) && this._nameTypes[name] !== type) {
+        throw new errors.ClientError('mark type name already used: ' + name);
+    }
+
+    if (this._typeNames.hasOwnProperty(type)) {
+        delete this._nameTypes[this._typeNames[type]];
+    }
+
+    this._typeNames[type] = name;
+    this._nameTypes[name] = type;
+    return this;
+};
+
+
+/** Get the name of a mark type, or null if it hasn't got one.
+ */
+Marks.prototype.getTypeName = function(type) {
+    return this._typeNames.hasOwnProperty(type) ? this._typeNames[type] : null;
+};
+
+
+/** Get the mark type of a text, or null if it isn't marked.
+ */
+Marks.prototype.getMarkType = function(textNo) {
+    return this._marks.hasOwnProperty(textNo) ? this._marks[textNo] : null;
+};
+
+
+/** Get the marked text numbers, in increasing order.
+ *
+ * Parameters:
+ *  - type: optional mark type number or name, to only get the texts
+ *    with that type
+ */
+Marks.prototype.getTexts = function(type) {
+    if (type !== undefined) {
+        type = this._resolveType(type);
+    }
+
+    var textNos = [];
+
+    for (var textNo in this._marks) {
+        if (this._marks.hasOwnProperty(textNo) &&
+            (type === undefined || this._marks[textNo] === type)) {
+            textNos.push(parseInt(textNo, 10));
+        }
+    }
+
+    return textNos.sort(function(a, b) { return a - b; });
+};
+
+
+/** Group the marked texts by mark type.
+ *
+ * Return:
+ *  - array of { type, name, texts } objects in mark type order,
+ *    where name is null for unnamed types and texts is an array
+ *    of text numbers
+ */
+Marks.prototype.groups = function() {
+    var groups = {};
+    var textNos = this.getTexts();
+
+    for (var i = 0; i < textNos.length; i++) {
+        var type = this._marks[textNos[i]];
+
+        if (!groups[type]) {
+            groups[type] = { type: type, name: this.getTypeName(type), texts: [] };
+        }
+
+        groups[type].texts.push(textNos[i]);
+    }
+
+    return Object.keys(groups)
+        .map(function(type) { return groups[type]; })
+        .sort(function(a, b) { return a.type - b.type; });
+};
+
+
+/** Mark a text, changing the mark type if it is already marked.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves when the server has been updated
+ */
+Marks.prototype.mark = function(textNo, type, cb) {
+    var self = this;
+
+    return Promise.try(function() {
+        type = self._resolveType(type);
+        return self._client.markText({ text: textNo, markType: type });
+    })
+        .then(function() {
+            self._marks[textNo] = type;
+        })
+        .nodeify(cb);
+};
+
+
+/** Remove the mark from a text.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves when the server has been updated
+ */
+Marks.prototype.unmark = function(textNo, cb) {
+    var self = this;
+
+    return this._client.unmarkText({ textNo: textNo })
+        .then(function() {
+            delete self._marks[textNo];
+        })
+        .nodeify(cb);
+};
+
+
+/** Iterate over the marked texts with their Text-Stats, fetching them
+ * as needed.
+ *
+ * Parameters:
+ *  - type: optional mark type number or name, to only get the texts
+ *    with that type
+ *
+ * Return:
+ *  - MarkedTextIterator
+ */
+Marks.prototype.textStats = function(type) {
+    return new MarkedTextIterator(this, this.getTexts(type));
+};
+
+
+Marks.prototype._resolveType = function(type) {
+    if (typeof type === 'string') {
+        if (!this._nameTypes.hasOwnProperty(type)) {
+            throw new errors.ClientError('unknown mark type name: ' + type);
+        }
+        return this._nameTypes[type];
+    }
+
+    checkType(type);
+    return type;
+};
@@ -0,0 +1,215 @@
+/* LysKOM protocol A who-is-on tracking
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:presence');
+
+var util = require('util');
+var events = require('events');
+
+var Subscription = require('./subscription');
+
+
+/** Keep track of the sessions logged in to the server.
+ *
+ * The list is kept current by listening to the login, logout and
+ * i-am-on async messages, so the application should ask the server
+ * to send those with Client.acceptAsync().
+ *
+ * Parameters:
+ *  - client: Client object
+ *  - options:
+ *    - wantInvisible: include invisible sessions (default false).
+ *      Since i-am-on doesn't tell if a session is invisible, sessions
+ *      that aren't in the initial list are then only added when they
+ *      log in.
+ *    - activeLast: only include sessions active within this many
+ *      seconds in the initial list (default 0, meaning all sessions)
+ *
+ * The initial list must be loaded with load() before it is used.
+ */
+var Presence = function(client, options) {
+    events.EventEmitter.call(this);
+
+    options = options || {};
+
+    this._client = client;
+    this._wantInvisible = !!options.wantInvisible;
+    this._activeLast = options.activeLast || 0;
+
+    // Map of session numbers to Dynamic-Session-Info objects
+    this._sessions = {};
+
+    this._subscription = new Subscription(client, {
+        'login': this._onLogin.bind(this),
+        'logout': this._onLogout.bind(this),
+        'i-am-on': this._onIAmOn.bind(this)
+    });
+};
+
+util.inherits(Presence, events.EventEmitter);
+
+module.exports = Presence;
+
+
+/** Presence event: join
+ *
+ * Emitted with the Dynamic-Session-Info object when a session logs in.
+ */
+
+/** Presence event: leave
+ *
+ * Emitted with the Dynamic-Session-Info object when a session logs out.
+ */
+
+/** Presence event: activity
+ *
+ * Emitted with the updated Dynamic-Session-Info object when a
+ * session changes working conference or what it is doing.
+ */
+
+
+/** Load the sessions currently logged in, and start listening to
+ * async messages.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves to this object when loaded
+ */
+Presence.prototype.load = function(cb) {
+    var self = this;
+
+    // Sessions logging in or out while waiting for the list are
+    // applied to it afterwards
+    this._subscription.listen();
+
+    return this._client.whoIsOnDynamic({
+        wantVisible: true,
+        wantInvisible: this._wantInvisible,
+        activeLast: this._activeLast
+    })
+        .then(function(sessions) {
+            self._sessions = {};
+            sessions.forEach(function(session) {
+                self._sessions[session.session] = session;
+            });
+            debug('loaded %s sessions', sessions.length);
+
+            self._subscription.ready();
+            return self;
+        })
+        .catch(function(err) {
+            self.close();
+            throw err;
+        })
+        .nodeify(cb);
+};
+
+
+/** Stop listening to async messages.
+ */
+Presence.prototype.close = function() {
+    this._subscription.close();
+};
+
+
+/** Get all sessions, in session number order.
+ *
+ * Return:
+ *  - array of Dynamic-Session-Info objects.  idleTime is as reported
+ *    by the server when the list was loaded, and reset to 0 when a
+ *    session is active.
+ */
+Presence.prototype.getSessions = function() {
+    var sessions = [];
+
+    for (var sessionNo in this._sessions) {
+        if (this._sessions.hasOwnProperty(sessionNo)) {
+            sessions.push(this._sessions[sessionNo]);
+        }
+    }
+
+    return sessions.sort(function(a, b) { return a.session - b.session; });
+};
+
+
+/** Get a session, or null if it isn't logged in.
+ */
+Presence.prototype.getSession = function(sessionNo) {
+    return this._sessions.hasOwnProperty(sessionNo) ? this._sessions[sessionNo] : null;
+};
+
+
+/** Get the sessions of a person, in session number order.
+ */
+Presence.prototype.getPersonSessions = function(persNo) {
+    return this.getSessions().filter(function(session) {
+        return session.person === persNo;
+    });
+};
+
+
+Presence.prototype._addSession = function(sessionNo, persNo) {
+    var session = {
+        session: sessionNo,
+        person: persNo,
+        workingConference: 0,
+        idleTime: 0,
+        flags: { invisible: false, userActiveUsed: false, userAbsent: false },
+        whatAmIDoing: new Buffer(0)
+    };
+
+    this._sessions[sessionNo] = session;
+    this.emit('join', session);
+    return session;
+};
+
+
+Presence.prototype._onLogin = function(msg) {
+    var session = this.getSession(msg.sessionNo);
+
+    if (session) {
+        // Already known session logging in as someone else
+        session.person = msg.persNo;
+        session.idleTime = 0;
+        this.emit('activity', session);
+    }
+    else {
+        this._addSession(msg.sessionNo, msg.persNo);
+    }
+};
+
+
+Presence.prototype._onLogout = function(msg) {
+    var session = this.getSession(msg.sessionNo);
+    if (session) {
+        delete this._sessions[msg.sessionNo];
+        this.emit('leave', session);
+    }
+};
+
+
+Presence.prototype._onIAmOn = function(msg) {
+    var info = msg.info;
+    var session = this.getSession(info.session);
+
+    if (!session) {
+        if (!this._wantInvisible) {
+            // Left out of the initial list, so it may be invisible
+            return;
+        }
+
+        session = this._addSession(info.session, info.person);
+    }
+
+    session.person = info.person;
+    session.workingConference = info.workingConference;
+    session.whatAmIDoing = info.whatAmIDoing;
+    session.idleTime = 0;
+
+    this.emit('activity', session);
+};
@@ -11,6 +11,7 @@ var debug = require('debug')('lyskom-client:protocol'); // jshint ignore:line
 var iconv = require('iconv-lite');
 
 var errors = require('./errors');
+var auxItems = require('./auxitems');
 
 
 //
@@ -236,6 +237,192 @@ KOMArray.prototype.getParser = function() {
     };
 };
 
+
+/** One alternative in a Selection. */
+var Alternative = function(number, name, type, readOnly) {
+    this.number = number;
+    this.name = name;
+    this.type = type;
+    this.readOnly = !!readOnly;
+};
+
+var alternative = function(number, name, type) {
+    return new Alternative(number, name, type, false);
+};
+
+/** An alternative that the server sends, but which clients may not
+ * send in requests.
+ */
+var readOnlyAlternative = function(number, name, type) {
+    return new Alternative(number, name, type, true);
+};
+
+/** A selection of one out of several alternatives, each identified
+ * by a tag number.  Translated into an object with a single property
+ * named after the selected alternative, e.g. { recpt: 4711 }.
+ */
+var Selection = function() {
+    this.alternatives = Array.prototype.slice.call(arguments);
+    this.byNumber = {};
+
+    for (var i = 0; i < this.alternatives.length; i++) {
+        var alt = this.alternatives[i];
+        this.byNumber[alt.number] = alt;
+    }
+};
+
+Selection.prototype.getParser = function() {
+    var byNumber = this.byNumber;
+    var alt = null;
+    var currentParser = null;
+
+    return function(msg) {
+        if (alt === null) {
+            var t = msg.nextToken();
+            if (t) {
+                if (t.type !== 'int') {
+                    throw new errors.ProtocolError('expected int, got ' + t.type + ': ' + t.value);
+                }
+
+                alt = byNumber[t.value];
+                if (!alt) {
+                    throw new errors.ProtocolError('unknown selection: ' + t.value);
+                }
+
+                currentParser = alt.type.getParser();
+            }
+            else {
+                return null;
+            }
+        }
+
+        var v = currentParser(msg);
+        if (v === null) {
+            // Not yet a full parse
+            return null;
+        }
+
+        var obj = {};
+        obj[alt.name] = v;
+        return obj;
+    };
+};
+
+Selection.prototype.format = function(formatter, obj) {
+    if (typeof obj !== 'object' || obj === null) {
+        throw new errors.ClientError('Selection require an object: ' + obj);
+    }
+
+    var alt = null;
+
+    for (var i = 0; i < this.alternatives.length; i++) {
+        if (obj.hasOwnProperty(this.alternatives[i].name)) {
+            if (alt) {
+                throw new errors.ClientError('ambiguous selection: ' +
+                                             alt.name + ' and ' + this.alternatives[i].name);
+            }
+
+            alt = this.alternatives[i];
+        }
+    }
+
+    if (!alt) {
+        throw new errors.ClientError('no known selection in: ' + Object.keys(obj).join(', '));
+    }
+
+    if (alt.readOnly) {
+        throw new errors.ClientError('cannot be sent to server: ' + alt.name);
+    }
+
+    formatter.addField(alt.number.toString());
+
+    try {
+        alt.type.format(formatter, obj[alt.name]);
+    }
+    catch (err) {
+        if (err instanceof errors.ClientError) {
+            throw new errors.ClientError('invalid value for ' + alt.name + ': ' + err.message);
+        }
+        else {
+            throw err;
+        }
+    }
+};
+
+
+/** An enumeration of named values, translated into the name strings.
+ *
+ * Parameters:
+ *  - values: object mapping numbers to names
+ */
+var Enumeration = function(values) {
+    this.names = values;
+    this.numbers = {};
+
+    for (var num in values) {
+        if (values.hasOwnProperty(num)) {
+            this.numbers[values[num]] = parseInt(num, 10);
+        }
+    }
+};
+
+Enumeration.prototype.getParser = function() {
+    return this.parser.bind(this);
+};
+
+Enumeration.prototype.parser = function(msg) {
+    var t = msg.nextToken();
+    if (t) {
+        if (t.type !== 'int') {
+            throw new errors.ProtocolError('expected int, got ' + t.type + ': ' + t.value);
+        }
+
+        var name = this.names[t.value];
+        if (name === undefined) {
+            throw new errors.ProtocolError('unknown enumeration value: ' + t.value);
+        }
+
+        return name;
+    }
+    else {
+        return null;
+    }
+};
+
+Enumeration.prototype.format = function(formatter, name) {
+    var num = this.numbers[name];
+    if (num === undefined) {
+        throw new errors.ClientError('invalid enumeration value: ' + name);
+    }
+
+    formatter.addField(num.toString());
+};
+
+
+/** A type that adds properties to the parsed value of another type,
+ * by passing it through a function.  Formatting is done by the
+ * wrapped type.
+ */
+var Decorated = function(type, decorate) {
+    this.type = type;
+    this.decorate = decorate;
+};
+
+Decorated.prototype.getParser = function() {
+    var parser = this.type.getParser();
+    var decorate = this.decorate;
+
+    return function(msg) {
+        var obj = parser(msg);
+        return obj === null ? null : decorate(obj);
+    };
+};
+
+Decorated.prototype.format = function(formatter, obj) {
+    this.type.format(formatter, obj);
+};
+
+
 //
 // Scalars have static methods, so no need for classes
 //
@@ -352,7 +539,7 @@ var KOMString = {
 var int = function(name) { return new Field(name, Int); };
 var int32 = int,
     int16 = int,
-    //int8 = int,
+    int8 = int,
     confNo = int16,
     persNo = confNo,
     localTextNo = int32,
@@ -503,6 +690,10 @@ var RPC = function(number, req, res) {
     this.number = number;
     this.request = req;
     this.response = res;
+
+    // True if the request can safely be sent again if the connection
+    // is lost before the response is received
+    this.idempotent = false;
 };
 
 /** Format a request for transfer to the server.
@@ -590,8 +781,45 @@ var ExtendedConfType = new Bitstring([
     'allowAnonymous',
     'forbidSecret'], 8);
 
+var MembershipType = new Bitstring([
+    'invitation',
+    'passive',
+    'secret',
+    'passiveMessageInvert'], 8);
+
+// Any-Conf-Type is either a Conf-Type or an Extended-Conf-Type.  It
+// is sent as the shorter Conf-Type unless any of the extended flags
+// are present in the object.
+var AnyConfType = {
+    getParser: function() {
+        // Missing flags in a short bitstring are parsed as false
+        return ExtendedConfType.getParser();
+    },
+
+    format: function(formatter, obj) {
+        if (typeof obj === 'object' && obj !== null &&
+            (obj.hasOwnProperty('allowAnonymous') || obj.hasOwnProperty('forbidSecret'))) {
+            ExtendedConfType.format(formatter, obj);
+        }
+        else {
+            ConfType.format(formatter, obj);
+        }
+    }
+};
+
 var PersonalFlags = new Bitstring(['unreadIsSecret'], 8);
 
+var PrivBits = new Bitstring([
+    'wheel',
+    'admin',
+    'statistic',
+    'createPers',
+    'createConf',
+    'changeName'], 16);
+
+var SessionFlags = new Bitstring(
+    ['invisible', 'userActiveUsed', 'userAbsent'], 8);
+
 var Time = new Structure(int32('seconds'),
                          int32('minutes'),
                          int32('hours'),
@@ -602,6 +830,153 @@ var Time = new Structure(int32('seconds'),
                          int32('dayOfYear'),
                          bool('isDST'));
 
+// Translated into objects like { recpt: 4711 } or { commTo: 100 }.
+// Only recipients, comm-to and footn-to can be sent to the server.
+var MiscInfo = new Selection(
+    alternative(0, 'recpt', Int),
+    alternative(1, 'ccRecpt', Int),
+    alternative(15, 'bccRecpt', Int),
+    alternative(2, 'commTo', Int),
+    readOnlyAlternative(3, 'commIn', Int),
+    alternative(4, 'footnTo', Int),
+    readOnlyAlternative(5, 'footnIn', Int),
+    readOnlyAlternative(6, 'locNo', Int),
+    readOnlyAlternative(7, 'recTime', Time),
+    readOnlyAlternative(8, 'sentBy', Int),
+    readOnlyAlternative(9, 'sentAt', Time));
+
+// Enumeration of the Misc-Info selection names
+var InfoType = new Enumeration({
+    0: 'recpt',
+    1: 'ccRecpt',
+    2: 'commTo',
+    3: 'commIn',
+    4: 'footnTo',
+    5: 'footnIn',
+    6: 'locNo',
+    7: 'recTime',
+    8: 'sentBy',
+    9: 'sentAt',
+    15: 'bccRecpt'
+});
+
+var AuxItem = new Structure(int32('auxNo'),
+                            int32('tag'),
+                            persNo('creator'),
+                            field('createdAt', Time),
+                            field('flags', AuxItemFlags),
+                            int32('inheritLimit'),
+                            string('data'));
+
+// Add the aux items decoded by the registered codecs as the aux
+// property, keeping the raw items in auxItems
+var decodeAuxItems = function(obj) {
+    obj.aux = auxItems.decodeAll(obj.auxItems);
+    return obj;
+};
+
+var Conference = new Decorated(new Structure(string('name'),
+                                             field('type', ExtendedConfType),
+                                             field('creationTime', Time),
+                                             field('lastWritten', Time),
+                                             persNo('creator'),
+                                             textNo('presentation'),
+                                             confNo('supervisor'),
+                                             confNo('permittedSubmitters'),
+                                             confNo('superConf'),
+                                             textNo('msgOfDay'),
+                                             garbNice('nice'),
+                                             garbNice('keepCommented'),
+                                             int16('noOfMembers'),
+                                             localTextNo('firstLocalNo'),
+                                             int32('noOfTexts'),
+                                             garbNice('expire'),
+                                             array('auxItems', AuxItem)),
+                               decodeAuxItems);
+
+var Person = new Structure(string('username'),
+                           field('privileges', PrivBits),
+                           field('flags', PersonalFlags),
+                           field('lastLogin', Time),
+                           textNo('userArea'),
+                           int32('totalTimePresent'),
+                           int32('sessions'),
+                           int32('createdLines'),
+                           int32('createdBytes'),
+                           int32('readTexts'),
+                           int32('noOfTextFetches'),
+                           int16('createdPersons'),
+                           int16('createdConfs'),
+                           int32('firstCreatedLocalNo'),
+                           int32('noOfCreatedTexts'),
+                           int16('noOfMarks'),
+                           int16('noOfConfs'));
+
+var ReadRange = new Structure(localTextNo('firstRead'),
+                              localTextNo('lastRead'));
+
+var Membership = new Structure(int32('position'),
+                               field('lastTimeRead', Time),
+                               confNo('conference'),
+                               int8('priority'),
+                               array('readRanges', ReadRange),
+                               persNo('addedBy'),
+                               field('addedAt', Time),
+                               field('type', MembershipType));
+
+var WhoInfo = new Structure(persNo('person'),
+                            confNo('workingConference'),
+                            sessionNo('session'),
+                            string('whatAmIDoing'),
+                            string('username'));
+
+var DynamicSessionInfo = new Structure(sessionNo('session'),
+                                       persNo('person'),
+                                       confNo('workingConference'),
+                                       int32('idleTime'),
+                                       field('flags', SessionFlags),
+                                       string('whatAmIDoing'));
+
+var StaticSessionInfo = new Structure(string('username'),
+                                      string('hostname'),
+                                      string('identUser'),
+                                      field('connectionTime', Time));
+
+var TextNumberPair = new Structure(localTextNo('localNumber'),
+                                   textNo('globalNumber'));
+
+var TextList = new Structure(localTextNo('firstLocalNo'),
+                             array('texts', Int));
+
+// The block is either { sparse: [TextNumberPair...] } or
+// { dense: TextList }, where zeroes in the dense text list are
+// deleted or inaccessible texts.
+var LocalToGlobalBlock = new Selection(
+    alternative(0, 'sparse', new KOMArray(TextNumberPair)),
+    alternative(1, 'dense', TextList));
+
+var TextMapping = new Structure(localTextNo('rangeBegin'),
+                                localTextNo('rangeEnd'),
+                                bool('laterTextsExists'),
+                                field('block', LocalToGlobalBlock));
+
+var Mark = new Structure(textNo('textNo'),
+                         int8('type'));
+
+var Member = new Structure(persNo('member'),
+                           confNo('addedBy'),
+                           field('addedAt', Time),
+                           field('type', MembershipType));
+
+var TextStat = new Decorated(new Structure(field('creationTime', Time),
+                                           persNo('author'),
+                                           int32('noOfLines'),
+                                           int32('noOfChars'),
+                                           int16('noOfMarks'),
+                                           array('miscInfo', MiscInfo),
+                                           array('auxItems', AuxItem)),
+                             decodeAuxItems);
+
 
 
 
@@ -616,48 +991,64 @@ exports.rpc = {
         Empty
     ),
 
-/*
-add-comment [32] (( text-no    : Text-No;
-                    comment-to : Text-No ))
-    -> (  );
-
-add-footnote [37] (( text-no    : Text-No;
-                     footnote-to : Text-No ))
-    -> (  );
-
-add-member [100] (( conf-no    : Conf-No;
-                    pers-no    : Pers-No;
-                    priority   : INT8;
-                    where      : INT16;
-                    type       : Membership-Type ))
-    -> (  );
-
-add-recipient [30] (( text-no    : Text-No;
-                      conf-no    : Conf-No;
-                      recpt-type : Info-Type ))
-    -> (  );
-
-change-conference [2] ( conference : Conf-No )
-    -> (  );
+    addComment: new RPC(
+        32,
+        new Structure(textNo('textNo'),
+                      textNo('commentTo')),
+        Empty),
+
+    addFootnote: new RPC(
+        37,
+        new Structure(textNo('textNo'),
+                      textNo('footnoteTo')),
+        Empty),
+
+    addMember: new RPC(
+        100,
+        new Structure(confNo('confNo'),
+                      persNo('persNo'),
+                      int8('priority'),
+                      int16('where'),
+                      field('type', MembershipType)),
+        Empty),
+
+    addRecipient: new RPC(
+        30,
+        new Structure(textNo('textNo'),
+                      confNo('confNo'),
+                      field('recptType', InfoType)),
+        Empty),
+
+    changeConference: new RPC(
+        2,
+        new Structure(confNo('conference')),
+        Empty),
 
-change-name [3] (( conference : Conf-No;
-                   new-name   : HOLLERITH ))
-    -> (  );
+    changeName: new RPC(
+        3,
+        new Structure(confNo('conference'),
+                      string('newName')),
+        Empty),
 
+/*
 change-what-i-am-doing [4] ( what-am-i-doing : HOLLERITH )
     -> (  );
 
-create-anonymous-text [87] (( text       : HOLLERITH;
-                              misc-info  : ARRAY Misc-Info;
-                              aux-items  : ARRAY Aux-Item-Input ))
-    -> ( Text-No );
+*/
 
-create-conf [88] (( name       : HOLLERITH;
-                    type       : Any-Conf-Type;
-                    aux-items  : ARRAY Aux-Item-Input ))
-    -> ( Conf-No );
+    createAnonymousText: new RPC(
+        87,
+        new Structure(string('text'),
+                      array('miscInfo', MiscInfo),
+                      array('auxItems', AuxItemInput)),
+        Int),
 
-*/
+    createConf: new RPC(
+        88,
+        new Structure(string('name'),
+                      field('type', AnyConfType),
+                      array('auxItems', AuxItemInput)),
+        Int),
 
     createPerson: new RPC(
         89,
@@ -667,15 +1058,19 @@ create-conf [88] (( name       : HOLLERITH;
                       array('auxItems', AuxItemInput)),
         Int),
 
-/*
-create-text [86] (( text       : HOLLERITH;
-                    misc-info  : ARRAY Misc-Info;
-                    aux-items  : ARRAY Aux-Item-Input ))
-    -> ( Text-No );
+    createText: new RPC(
+        86,
+        new Structure(string('text'),
+                      array('miscInfo', MiscInfo),
+                      array('auxItems', AuxItemInput)),
+        Int),
 
-delete-conf [11] ( conf : Conf-No )
-    -> (  );
+    deleteConf: new RPC(
+        11,
+        new Structure(confNo('conf')),
+        Empty),
 
+/*
 delete-text [29] ( text : Text-No )
     -> (  );
 
@@ -706,60 +1101,87 @@ first-unused-text-no [115] ( )
 get-boottime-info [113] ( )
     -> ( Static-Server-Info );
 
-get-client-name [70] ( session : Session-No )
-    -> ( HOLLERITH );
+*/
 
-get-client-version [71] ( session : Session-No )
-    -> ( HOLLERITH );
+    getClientName: new RPC(
+        70,
+        new Structure(sessionNo('session')),
+        KOMString),
+
+    getClientVersion: new RPC(
+        71,
+        new Structure(sessionNo('session')),
+        KOMString),
 
+/*
 get-collate-table [85] ( )
     -> ( HOLLERITH );
 
-get-conf-stat [91] ( conf-no : Conf-No )
-    -> ( Conference );
+*/
+
+    getConfStat: new RPC(
+        91,
+        new Structure(confNo('confNo')),
+        Conference),
 
+/*
 get-info [94] ( )
     -> ( Info );
 
 get-last-text [58] ( before : Time )
     -> ( Text-No );
 
-get-marks [23] ( )
-    -> ( ARRAY Mark );
-
-get-members [101] (( conf       : Conf-No;
-                     first      : INT16;
-                     no-of-members : INT16 ))
-    -> ( ARRAY Member );
+*/
 
-get-membership [108] (( person     : Pers-No;
-                        first      : INT16;
-                        no-of-confs : INT16;
-                        want-read-ranges : BOOL;
-                        max-ranges : INT32 ))
-    -> ( ARRAY Membership );
+    getMarks: new RPC(23, Empty, new KOMArray(Mark)),
 
-get-person-stat [49] ( pers-no : Pers-No )
-    -> ( Person );
+    getMembers: new RPC(
+        101,
+        new Structure(confNo('conf'),
+                      int16('first'),
+                      int16('noOfMembers')),
+        new KOMArray(Member)),
 
-get-static-session-info [84] ( session-no : Session-No )
-    -> ( Static-Session-Info );
+    getMembership: new RPC(
+        108,
+        new Structure(persNo('person'),
+                      int16('first'),
+                      int16('noOfConfs'),
+                      bool('wantReadRanges'),
+                      int32('maxRanges')),
+        new KOMArray(Membership)),
+
+    getPersonStat: new RPC(
+        49,
+        new Structure(persNo('persNo')),
+        Person),
+
+    getStaticSessionInfo: new RPC(
+        84,
+        new Structure(sessionNo('sessionNo')),
+        StaticSessionInfo),
 
+/*
 get-stats [112] ( what : HOLLERITH )
     -> ( ARRAY Stats );
 
 get-stats-description [111] ( )
     -> ( Stats-Description );
 
-get-text [25] (( text       : Text-No;
-                 start-char : INT32;
-                 end-char   : INT32 ))
-    -> ( HOLLERITH );
-
-get-text-stat [90] ( text-no : Text-No )
-    -> ( Text-Stat );
 */
 
+    getText: new RPC(
+        25,
+        new Structure(textNo('text'),
+                      int32('startChar'),
+                      int32('endChar')),
+        KOMString),
+
+    getTextStat: new RPC(
+        90,
+        new Structure(textNo('textNo')),
+        TextStat),
+
     getTime: new RPC(35, Empty, Time),
 
     getUconfStat: new RPC(
@@ -783,17 +1205,19 @@ get-unread-confs [52] ( pers-no : Pers-No )
                       string('softwareVersion'))
     ),
 
-/*
-local-to-global [103] (( conf-no    : Conf-No;
-                         first-local-no : Local-Text-No;
-                         no-of-existing-texts : INT32 ))
-    -> ( Text-Mapping );
+    localToGlobal: new RPC(
+        103,
+        new Structure(confNo('confNo'),
+                      localTextNo('firstLocalNo'),
+                      int32('noOfExistingTexts')),
+        TextMapping),
 
-local-to-global-reverse [121] (( conf-no    : Conf-No;
-                                 local-no-ceiling : Local-Text-No;
-                                 no-of-existing-texts : INT32 ))
-    -> ( Text-Mapping );
-*/
+    localToGlobalReverse: new RPC(
+        121,
+        new Structure(confNo('confNo'),
+                      localTextNo('localNoCeiling'),
+                      int32('noOfExistingTexts')),
+        TextMapping),
 
     login: new RPC(
         62,
@@ -824,46 +1248,64 @@ map-created-texts-reverse [122] (( author     : Pers-No;
                                    no-of-existing-texts : INT32 ))
     -> ( Text-Mapping );
 
-mark-as-read [27] (( conference : Conf-No;
-                     text       : ARRAY Local-Text-No ))
-    -> (  );
+*/
+
+    markAsRead: new RPC(
+        27,
+        new Structure(confNo('conference'),
+                      array('text', Int)),
+        Empty),
 
+/*
 mark-as-unread [109] (( conference : Conf-No;
                         text       : Local-Text-No ))
     -> (  );
 
-mark-text [72] (( text       : Text-No;
-                  mark-type  : INT8 ))
-    -> (  );
-
-modify-conf-info [93] (( conf       : Conf-No;
-                         delete     : ARRAY Aux-No;
-                         add        : ARRAY Aux-Item-Input ))
-    -> (  );
-
-modify-system-info [95] (( items-to-delete : ARRAY Aux-No;
-                           items-to-add : ARRAY Aux-Item-Input ))
-    -> (  );
+*/
 
-modify-text-info [92] (( text       : Text-No;
-                         delete     : ARRAY Aux-No;
-                         add        : ARRAY Aux-Item-Input ))
-    -> (  );
+    markText: new RPC(
+        72,
+        new Structure(textNo('text'),
+                      int8('markType')),
+        Empty),
+
+    modifyConfInfo: new RPC(
+        93,
+        new Structure(confNo('conf'),
+                      array('delete', Int),
+                      array('add', AuxItemInput)),
+        Empty),
+
+    modifySystemInfo: new RPC(
+        95,
+        new Structure(array('itemsToDelete', Int),
+                      array('itemsToAdd', AuxItemInput)),
+        Empty),
+
+    modifyTextInfo: new RPC(
+        92,
+        new Structure(textNo('text'),
+                      array('delete', Int),
+                      array('add', AuxItemInput)),
+        Empty),
 
+/*
 query-async [81] ( )
     -> ( ARRAY INT32 );
 
 query-predefined-aux-items [96] ( )
     -> ( ARRAY INT32 );
 
-query-read-texts [107] (( person     : Pers-No;
-                          conference : Conf-No;
-                          want-read-ranges : BOOL;
-                          max-ranges : INT32 ))
-    -> ( Membership );
-
 */
 
+    queryReadTexts: new RPC(
+        107,
+        new Structure(persNo('person'),
+                      confNo('conference'),
+                      bool('wantReadRanges'),
+                      int32('maxRanges')),
+        Membership),
+
     reZLookup: new RPC(
         74,
         new Structure(string('regexp'),
@@ -879,42 +1321,63 @@ query-read-texts [107] (( person     : Pers-No;
         Empty
     ),
 
-/*
-set-client-version [69] (( client-name : HOLLERITH;
-                           client-version : HOLLERITH ))
-    -> (  );
+    setClientVersion: new RPC(
+        69,
+        new Structure(string('clientName'),
+                      string('clientVersion')),
+        Empty),
 
-set-conf-type [21] (( conf-no    : Conf-No;
-                      type       : Any-Conf-Type ))
-    -> (  );
+    setConfType: new RPC(
+        21,
+        new Structure(confNo('confNo'),
+                      field('type', AnyConfType)),
+        Empty),
 
+/*
 set-connection-time-format [120] ( use-utc : BOOL )
     -> (  );
 
-set-etc-motd [17] (( conf-no    : Conf-No;
-                     text-no    : Text-No ))
-    -> (  );
+*/
 
-set-garb-nice [22] (( conf-no    : Conf-No;
-                      nice       : Garb-Nice ))
-    -> (  );
+    setEtcMotd: new RPC(
+        17,
+        new Structure(confNo('confNo'),
+                      textNo('textNo')),
+        Empty),
+
+    setGarbNice: new RPC(
+        22,
+        new Structure(confNo('confNo'),
+                      garbNice('nice')),
+        Empty),
 
+/*
 set-info [79] ( info : Info-Old )
     -> (  );
 
-set-keep-commented [105] (( conf-no    : Conf-No;
-                            keep-commented : Garb-Nice ))
-    -> (  );
+*/
 
+    setKeepCommented: new RPC(
+        105,
+        new Structure(confNo('confNo'),
+                      garbNice('keepCommented')),
+        Empty),
+
+/*
 set-last-read [77] (( conference : Conf-No;
                       last-read  : Local-Text-No ))
     -> (  );
 
-set-membership-type [102] (( pers       : Pers-No;
-                             conf       : Conf-No;
-                             type       : Membership-Type ))
-    -> (  );
+*/
 
+    setMembershipType: new RPC(
+        102,
+        new Structure(persNo('pers'),
+                      confNo('conf'),
+                      field('type', MembershipType)),
+        Empty),
+
+/*
 set-motd-of-lyskom [41] ( text-no : Text-No )
     -> (  );
 
@@ -923,34 +1386,51 @@ set-passwd [8] (( person     : Pers-No;
                   new-pwd    : HOLLERITH ))
     -> (  );
 
-set-permitted-submitters [19] (( conf-no    : Conf-No;
-                                 perm-sub   : Conf-No ))
-    -> (  );
-
-set-pers-flags [106] (( pers-no    : Pers-No;
-                        flags      : Personal-Flags ))
-    -> (  );
-
-set-presentation [16] (( conf-no    : Conf-No;
-                         text-no    : Text-No ))
-    -> (  );
-
-set-priv-bits [7] (( person     : Pers-No;
-                     privileges : Priv-Bits ))
-    -> (  );
-
-set-read-ranges [110] (( conference : Conf-No;
-                         read-ranges : ARRAY Read-Range ))
-    -> (  );
-
-set-super-conf [20] (( conf-no    : Conf-No;
-                       super-conf : Conf-No ))
-    -> (  );
+*/
 
-set-supervisor [18] (( conf-no    : Conf-No;
-                       admin      : Conf-No ))
-    -> (  );
+    setPermittedSubmitters: new RPC(
+        19,
+        new Structure(confNo('confNo'),
+                      confNo('permSub')),
+        Empty),
+
+    setPersFlags: new RPC(
+        106,
+        new Structure(persNo('persNo'),
+                      field('flags', PersonalFlags)),
+        Empty),
+
+    setPresentation: new RPC(
+        16,
+        new Structure(confNo('confNo'),
+                      textNo('textNo')),
+        Empty),
+
+    setPrivBits: new RPC(
+        7,
+        new Structure(persNo('person'),
+                      field('privileges', PrivBits)),
+        Empty),
+
+    setReadRanges: new RPC(
+        110,
+        new Structure(confNo('conference'),
+                      array('readRanges', ReadRange)),
+        Empty),
+
+    setSuperConf: new RPC(
+        20,
+        new Structure(confNo('confNo'),
+                      confNo('superConf')),
+        Empty),
+
+    setSupervisor: new RPC(
+        18,
+        new Structure(confNo('confNo'),
+                      confNo('admin')),
+        Empty),
 
+/*
 set-unread [40] (( conf-no    : Conf-No;
                    no-of-unread : INT32 ))
     -> (  );
@@ -962,53 +1442,101 @@ set-user-area [57] (( pers-no    : Pers-No;
 shutdown-kom [44] ( exit-val : INT8 )
     -> (  );
 
-sub-comment [33] (( text-no    : Text-No;
-                    comment-to : Text-No ))
-    -> (  );
-
-sub-footnote [38] (( text-no    : Text-No;
-                     footnote-to : Text-No ))
-    -> (  );
+*/
 
-sub-member [15] (( conf-no    : Conf-No;
-                   pers-no    : Pers-No ))
-    -> (  );
-
-sub-recipient [31] (( text-no    : Text-No;
-                      conf-no    : Conf-No ))
-    -> (  );
+    subComment: new RPC(
+        33,
+        new Structure(textNo('textNo'),
+                      textNo('commentTo')),
+        Empty),
+
+    subFootnote: new RPC(
+        38,
+        new Structure(textNo('textNo'),
+                      textNo('footnoteTo')),
+        Empty),
+
+    subMember: new RPC(
+        15,
+        new Structure(confNo('confNo'),
+                      persNo('persNo')),
+        Empty),
+
+    subRecipient: new RPC(
+        31,
+        new Structure(textNo('textNo'),
+                      confNo('confNo')),
+        Empty),
 
+/*
 sync-kom [43] ( )
     -> (  );
 
-unmark-text [73] ( text-no : Text-No )
-    -> (  );
+*/
+
+    unmarkText: new RPC(
+        73,
+        new Structure(textNo('textNo')),
+        Empty),
 
+/*
 user-active [82] ( )
     -> (  );
 
 who-am-i [56] ( )
     -> ( Session-No );
 
-who-is-on-dynamic [83] (( want-visible : BOOL;
-                          want-invisible : BOOL;
-                          active-last : INT32 ))
-    -> ( ARRAY Dynamic-Session-Info );
 */
+
+    whoIsOnDynamic: new RPC(
+        83,
+        new Structure(bool('wantVisible'),
+                      bool('wantInvisible'),
+                      int32('activeLast')),
+        new KOMArray(DynamicSessionInfo)),
 };
 
+// Requests that only read data, or set something to an absolute
+// value, so they can be retried after reconnecting.  Applications
+// can flag other requests by setting rpc.idempotent.
+[
+    'getClientName',
+    'getClientVersion',
+    'getConfStat',
+    'getMarks',
+    'getMembers',
+    'getMembership',
+    'getPersonStat',
+    'getStaticSessionInfo',
+    'getText',
+    'getTextStat',
+    'getTime',
+    'getUconfStat',
+    'getVersionInfo',
+    'localToGlobal',
+    'localToGlobalReverse',
+    'lookupZName',
+    'markAsRead',
+    'queryReadTexts',
+    'reZLookup',
+    'setReadRanges',
+    'whoIsOnDynamic'
+].forEach(function(name) {
+    exports.rpc[name].idempotent = true;
+});
+
 exports.async = {
     12: new Async('send-message',
                   new Structure(confNo('recipient'),
                                 persNo('sender'),
                                 string('message'))),
 
-/*
-async-deleted-text [14] (( text-no    : Text-No;
-                           text-stat  : Text-Stat ))
+    14: new Async('deleted-text',
+                  new Structure(textNo('textNo'),
+                                field('textStat', TextStat))),
 
-async-i-am-on [6] ( info : Who-Info )
-*/
+    6: new Async('i-am-on',
+                 new Structure(field('info', WhoInfo))),
 
     8: new Async('leave-conf',
                  new Structure(confNo('confNo'))),
@@ -1040,14 +1568,14 @@ async-i-am-on [6] ( info : Who-Info )
                                 textNo('oldPresentation'),
                                 textNo('newPresentation'))),
 
-/*
-async-new-recipient [16] (( text-no    : Text-No;
-                            conf-no    : Conf-No;
-                            type       : Info-Type ))
+    16: new Async('new-recipient',
+                  new Structure(textNo('textNo'),
+                                confNo('confNo'),
+                                field('type', InfoType))),
 
-async-new-text [15] (( text-no    : Text-No;
-                       text-stat  : Text-Stat ))
-*/
+    15: new Async('new-text',
+                  new Structure(textNo('textNo'),
+                                field('textStat', TextStat))),
 
     19: new Async('new-user-area',
                   new Structure(persNo('persNo'),
@@ -1056,19 +1584,17 @@ async-new-text [15] (( text-no    : Text-No;
 
     11: new Async('rejected-connection', Empty),
 
-/*
-async-sub-recipient [17] (( text-no    : Text-No;
-                            conf-no    : Conf-No;
-                            type       : Info-Type ))
-*/
+    17: new Async('sub-recipient',
+                  new Structure(textNo('textNo'),
+                                confNo('confNo'),
+                                field('type', InfoType))),
 
     7: new Async('sync-db', Empty),
 
-/*
-async-text-aux-changed [22] (( text-no    : Text-No;
-                               deleted    : ARRAY Aux-Item;
-                               added      : ARRAY Aux-Item ))
-*/
+    22: new Async('text-aux-changed',
+                  new Structure(textNo('textNo'),
+                                array('deleted', AuxItem),
+                                array('added', AuxItem))),
 };
 
 exports.errorCodes = {
@@ -1135,45 +1661,10 @@ exports.errorCodes = {
     61: 'bad-bool',
 };
 
-exports.aux = {
-    contentType: 1,
-    fastReply: 2,
-    crossReference: 3,
-    noComments: 4,
-    personalComment: 5,
-    requestConfirmation: 6,
-    readConfirm: 7,
-    redirect: 8,
-    xFace: 9,
-    alternateName: 10,
-    pgpSignature: 11,
-    pgpPublicKey: 12,
-    emailAddress: 13,
-    faqText: 14,
-    creatingSoftware: 15,
-    mxAuthor: 16,
-    mxFrom: 17,
-    mxReplyTo: 18,
-    mxTo: 19,
-    mxCc: 20,
-    mxDate: 21,
-    mxMessageId: 22,
-    mxInReplyTo: 23,
-    mxMisc: 24,
-    mxAllowFilter: 25,
-    mxRejectForward: 26,
-    notifyComments: 27,
-    faqForConf: 28,
-    recommendedConf: 29,
-    allowedContentType: 30,
-    canonicalName: 31,
-    mxListName: 32,
-    sendCommentsTo: 33,
-    worldReadable: 34,
-    mxRefuseImport: 35,
-    mxMimeBelongsTo: 10100,
-    mxMimePartIn: 10101,
-    mxMimeMisc: 10102,
-    mxEnvelopeSender: 10103,
-    mxMimeFileName: 10104,
-};
+// Map of aux item names to tag numbers.  This is a frozen copy of the
+// registry in auxitems.js, so it includes any tags registered by the
+// application.
+Object.defineProperty(exports, 'aux', {
+    enumerable: true,
+    get: function() { return auxItems.tags; }
+});
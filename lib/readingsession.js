@@ -0,0 +1,422 @@
+/* LysKOM protocol A unread text tracking
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:readingsession');
+
+var util = require('util');
+var events = require('events');
+var Promise = require('bluebird');
+
+var iterator = require('./iterator');
+var Subscription = require('./subscription');
+
+
+// Number of memberships to fetch in each get-membership request
+var membershipBatchSize = 100;
+
+
+/** Check if a local text number is covered by a list of read ranges.
+ */
+var isRead = function(readRanges, localNo) {
+    for (var i = 0; i < readRanges.length; i++) {
+        if (localNo >= readRanges[i].firstRead && localNo <= readRanges[i].lastRead) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+
+/** Return a new sorted read range list with localNo added to it,
+ * merging any adjacent ranges.
+ */
+var addToReadRanges = function(readRanges, localNo) {
+    var ranges = readRanges.concat([{ firstRead: localNo, lastRead: localNo }]);
+    ranges.sort(function(a, b) { return a.firstRead - b.firstRead; });
+
+    var merged = [];
+    for (var i = 0; i < ranges.length; i++) {
+        var last = merged[merged.length - 1];
+        if (last && ranges[i].firstRead <= last.lastRead + 1) {
+            last.lastRead = Math.max(last.lastRead, ranges[i].lastRead);
+        }
+        else {
+            merged.push({ firstRead: ranges[i].firstRead, lastRead: ranges[i].lastRead });
+        }
+    }
+
+    return merged;
+};
+
+
+/** Insert a { localNo, textNo } pair into a list of unread texts in
+ * local number order, unless it is already there.  It can be if the
+ * new-text message arrived while the conference was being loaded.
+ *
+ * Return:
+ *  - true if the text was added
+ */
+var addUnread = function(unread, pair) {
+    var i = unread.length;
+    while (i > 0 && unread[i - 1].localNo >= pair.localNo) {
+        if (unread[i - 1].localNo === pair.localNo) {
+            return false;
+        }
+        i--;
+    }
+
+    unread.splice(i, 0, pair);
+    return true;
+};
+
+
+/** Passive memberships and invitations don't have any unread texts.
+ */
+var isActiveMembership = function(membership) {
+    return !membership.type.passive && !membership.type.invitation;
+};
+
+
+/** Extract { confNo, localNo } for each recipient in a misc-info list.
+ */
+var getRecipientLocalNos = function(miscInfo) {
+    var recipients = [];
+    var confNo = null;
+
+    for (var i = 0; i < miscInfo.length; i++) {
+        var mi = miscInfo[i];
+
+        if (mi.recpt !== undefined) {
+            confNo = mi.recpt;
+        }
+        else if (mi.ccRecpt !== undefined) {
+            confNo = mi.ccRecpt;
+        }
+        else if (mi.bccRecpt !== undefined) {
+            confNo = mi.bccRecpt;
+        }
+        else if (mi.locNo !== undefined && confNo !== null) {
+            recipients.push({ confNo: confNo, localNo: mi.locNo });
+            confNo = null;
+        }
+    }
+
+    return recipients;
+};
+
+
+/** Keep track of the unread texts of a logged-in person.
+ *
+ * The session is kept current by listening to the new-text,
+ * leave-conf and new-membership async messages, so the application
+ * should ask the server to send those with Client.acceptAsync().
+ *
+ * Parameters:
+ *  - client: Client object, logged in as persNo
+ *  - persNo: the logged in person
+ *  - options:
+ *    - batchSize: number of texts to map in each local-to-global
+ *      request (default 100)
+ *
+ * The session must be loaded with load() before it is used.
+ */
+var ReadingSession = function(client, persNo, options) {
+    events.EventEmitter.call(this);
+
+    options = options || {};
+
+    this._client = client;
+    this._persNo = persNo;
+    this._batchSize = options.batchSize || 100;
+
+    // Memberships in priority order, each an object with:
+    //  - confNo, priority, readRanges, highestLocalNo
+    //  - unread: array of { localNo, textNo } in local number order
+    this._confs = [];
+
+    this._subscription = new Subscription(client, {
+        'new-text': this._onNewText.bind(this),
+        'leave-conf': this._onLeaveConf.bind(this),
+        'new-membership': this._onNewMembership.bind(this)
+    });
+};
+
+util.inherits(ReadingSession, events.EventEmitter);
+
+module.exports = ReadingSession;
+
+ReadingSession.addToReadRanges = addToReadRanges;
+ReadingSession.getRecipientLocalNos = getRecipientLocalNos;
+
+
+/** Session event: change
+ *
+ * Emitted with the conference number when the unread texts in
+ * a conference have changed.
+ */
+
+/** Session event: error
+ *
+ * Emitted if a new membership could not be loaded.  Not emitted
+ * unless there are listeners for it.
+ */
+
+
+/** Load all memberships and their unread texts, and start listening
+ * to async messages.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves to this session when loaded
+ */
+ReadingSession.prototype.load = function(cb) {
+    var self = this;
+
+    var getBatch = function(first, count) {
+        return self._client.getMembership({
+            person: self._persNo,
+            first: first,
+            noOfConfs: count,
+            wantReadRanges: true,
+            maxRanges: 0
+        });
+    };
+
+    // Texts created while loading are applied afterwards
+    this._subscription.listen();
+
+    return iterator.fetchAll(getBatch, membershipBatchSize)
+        .then(function(memberships) {
+            return Promise.all(memberships
+                               .filter(isActiveMembership)
+                               .map(self._loadConf.bind(self)));
+        })
+        .then(function(confs) {
+            self._confs = confs;
+            debug('loaded %s memberships', confs.length);
+
+            self._subscription.ready();
+            return self;
+        })
+        .catch(function(err) {
+            self.close();
+            throw err;
+        })
+        .nodeify(cb);
+};
+
+
+/** Stop listening to async messages.
+ */
+ReadingSession.prototype.close = function() {
+    this._subscription.close();
+};
+
+
+/** Get the next text to read.
+ *
+ * Return:
+ *  - { confNo, localNo, textNo } for the first unread text in the
+ *    conference with the highest priority, or null if there are no
+ *    unread texts.
+ */
+ReadingSession.prototype.nextUnread = function() {
+    for (var i = 0; i < this._confs.length; i++) {
+        var conf = this._confs[i];
+        if (conf.unread.length) {
+            return { confNo: conf.confNo,
+                     localNo: conf.unread[0].localNo,
+                     textNo: conf.unread[0].textNo };
+        }
+    }
+
+    return null;
+};
+
+
+/** Mark a text as read in all conferences where it is unread.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves when the server has been updated
+ */
+ReadingSession.prototype.markRead = function(textNo, cb) {
+    var self = this;
+    var requests = [];
+
+    this._confs.forEach(function(conf) {
+        for (var i = 0; i < conf.unread.length; i++) {
+            if (conf.unread[i].textNo === textNo) {
+                var localNo = conf.unread[i].localNo;
+
+                conf.unread.splice(i, 1);
+                conf.readRanges = addToReadRanges(conf.readRanges, localNo);
+
+                requests.push(self._client.markAsRead({
+                    conference: conf.confNo,
+                    text: [localNo]
+                }));
+
+                self.emit('change', conf.confNo);
+                return;
+            }
+        }
+    });
+
+    return Promise.all(requests).return().nodeify(cb);
+};
+
+
+/** Get the number of unread texts in a conference, or 0 if the
+ * person isn't an active member of it.
+ */
+ReadingSession.prototype.unreadCount = function(confNo) {
+    var conf = this._findConf(confNo);
+    return conf ? conf.unread.length : 0;
+};
+
+
+/** Get the number of unread texts in all conferences.
+ *
+ * Return:
+ *  - object mapping conference numbers to unread counts
+ */
+ReadingSession.prototype.unreadCounts = function() {
+    var counts = {};
+
+    for (var i = 0; i < this._confs.length; i++) {
+        counts[this._confs[i].confNo] = this._confs[i].unread.length;
+    }
+
+    return counts;
+};
+
+
+ReadingSession.prototype._findConf = function(confNo) {
+    for (var i = 0; i < this._confs.length; i++) {
+        if (this._confs[i].confNo === confNo) {
+            return this._confs[i];
+        }
+    }
+
+    return null;
+};
+
+
+/** Load the unread texts for a membership.
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to a conference state object
+ */
+ReadingSession.prototype._loadConf = function(membership) {
+    var self = this;
+    var conf = {
+        confNo: membership.conference,
+        priority: membership.priority,
+        readRanges: membership.readRanges,
+        highestLocalNo: 0,
+        unread: []
+    };
+
+    // Skip the initial read range, if any, to avoid mapping texts
+    // that have already been read
+    var first = 1;
+    if (conf.readRanges.length && conf.readRanges[0].firstRead <= 1) {
+        first = conf.readRanges[0].lastRead + 1;
+    }
+
+    return this._client.getUconfStat({ conference: conf.confNo })
+        .then(function(uconf) {
+            conf.highestLocalNo = uconf.highestLocalNo;
+
+            if (first > conf.highestLocalNo) {
+                return;
+            }
+
+            return self._client.localToGlobalIterator(conf.confNo, {
+                first: first,
+                batchSize: self._batchSize
+            })
+                .forEach(function(pair) {
+                    if (!isRead(conf.readRanges, pair.localNo)) {
+                        conf.unread.push(pair);
+                    }
+                });
+        })
+        .then(function() {
+            debug('conf %s: %s unread', conf.confNo, conf.unread.length);
+            return conf;
+        });
+};
+
+
+ReadingSession.prototype._onNewText = function(msg) {
+    var recipients = getRecipientLocalNos(msg.textStat.miscInfo);
+
+    for (var i = 0; i < recipients.length; i++) {
+        var conf = this._findConf(recipients[i].confNo);
+        if (conf) {
+            var localNo = recipients[i].localNo;
+
+            conf.highestLocalNo = Math.max(conf.highestLocalNo, localNo);
+            if (!isRead(conf.readRanges, localNo) &&
+                addUnread(conf.unread, { localNo: localNo, textNo: msg.textNo })) {
+                this.emit('change', conf.confNo);
+            }
+        }
+    }
+};
+
+
+ReadingSession.prototype._onLeaveConf = function(msg) {
+    var conf = this._findConf(msg.confNo);
+    if (conf) {
+        this._confs.splice(this._confs.indexOf(conf), 1);
+        this.emit('change', conf.confNo);
+    }
+};
+
+
+ReadingSession.prototype._onNewMembership = function(msg) {
+    var self = this;
+
+    if (msg.persNo !== this._persNo || this._findConf(msg.confNo)) {
+        return;
+    }
+
+    this._client.queryReadTexts({
+        person: this._persNo,
+        conference: msg.confNo,
+        wantReadRanges: true,
+        maxRanges: 0
+    })
+        .then(function(membership) {
+            if (!isActiveMembership(membership) || self._findConf(msg.confNo)) {
+                return;
+            }
+
+            return self._loadConf(membership)
+                .then(function(conf) {
+                    // Insert by priority, after any existing ones
+                    // with the same priority
+                    var i = 0;
+                    while (i < self._confs.length && self._confs[i].priority >= conf.priority) {
+                        i++;
+                    }
+
+                    self._confs.splice(i, 0, conf);
+                    self.emit('change', conf.confNo);
+                });
+        })
+        .catch(function(err) {
+            debug('error loading new membership %s: %s', msg.confNo, err);
+            if (self.listeners('error').length) {
+                self.emit('error', err);
+            }
+        });
+};
@@ -0,0 +1,187 @@
+/* LysKOM protocol A comment recipient rules
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:reply');
+
+var Promise = require('bluebird');
+
+var protocol = require('./protocol');
+var errors = require('./errors');
+var auxItems = require('./auxitems');
+var TextBuilder = require('./textbuilder');
+
+
+/** Figure out where a comment to a text should be sent, following the
+ * same rules as the elisp client:
+ *
+ *  - If the text has a personal-comment aux item, comments are sent
+ *    only to the author.
+ *
+ *  - Otherwise the comment is sent to the recipients (but not the
+ *    carbon copy recipients) of the text.
+ *
+ *  - A send-comments-to aux item on a recipient replaces it with
+ *    another conference, optionally as a carbon copy or blind carbon
+ *    copy recipient.
+ *
+ *  - A redirect aux item to another LysKOM conference on a recipient
+ *    replaces it with that conference.
+ *
+ * Parameters:
+ *  - textStat: the Text-Stat of the commented text
+ *  - confAuxItems: object mapping recipient conference numbers to
+ *    their aux items (missing conferences have no aux items)
+ *  - options:
+ *    - personal: if true, always send a personal comment
+ *
+ * Return:
+ *  - array of Misc-Info recipients, e.g. [{ recpt: 6 }, { ccRecpt: 7 }]
+ */
+var getCommentRecipients = function(textStat, confAuxItems, options) {
+    options = options || {};
+
+    if (options.personal || auxItems.decodeAll(textStat.auxItems).personalComment) {
+        return [{ recpt: textStat.author }];
+    }
+
+    var recipients = [];
+    var seen = {};
+
+    for (var i = 0; i < textStat.miscInfo.length; i++) {
+        var confNo = textStat.miscInfo[i].recpt;
+        if (confNo === undefined) {
+            continue;
+        }
+
+        var type = 'recpt';
+        var aux = auxItems.decodeAll(confAuxItems[confNo] || []);
+        var sendTo = aux.sendCommentsTo;
+        var redirect = aux.redirect;
+
+        // Unparseable aux items are decoded as plain strings
+        if (sendTo && typeof sendTo === 'object') {
+            // Zero means that comments should go to the conference itself
+            if (sendTo.confNo !== 0) {
+                debug('conf %s: send comments to %j', confNo, sendTo);
+                confNo = sendTo.confNo;
+                type = sendTo.recptType;
+            }
+        }
+        else if (redirect && typeof redirect === 'object' &&
+                 /^\s*lyskom$/i.test(redirect.type) && /^\s*\d+\s*$/.test(redirect.target)) {
+            debug('conf %s: redirect to %j', confNo, redirect);
+            confNo = parseInt(redirect.target, 10);
+        }
+
+        if (!seen[confNo]) {
+            seen[confNo] = true;
+
+            var recipient = {};
+            recipient[type] = confNo;
+            recipients.push(recipient);
+        }
+    }
+
+    return recipients;
+};
+
+
+/** Fetch aux items for some conferences, ignoring any that can't be
+ * accessed.
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to an object mapping the conference
+ *    numbers to aux item arrays
+ */
+var getConfAuxItems = function(client, confNos) {
+    var result = {};
+
+    return Promise.all(confNos.map(function(confNo) {
+        return client.getConfStat({ confNo: confNo })
+            .then(function(conf) {
+                result[confNo] = conf.auxItems;
+            })
+            .catch(errors.RequestError, function(err) {
+                debug('conf %s: ignoring %s', confNo, err);
+            });
+    }))
+        .return(result);
+};
+
+
+/** Write a comment to a text.
+ *
+ * See Client.prototype.reply() for parameters.
+ */
+var reply = function(client, textNo, body, options) {
+    options = options || {};
+
+    return client.readText(textNo)
+        .then(function(original) {
+            var textStat = original.textStat;
+
+            if (options.fast) {
+                return client.modifyTextInfo({
+                    text: textNo,
+                    delete: [],
+                    add: [{
+                        tag: protocol.aux.fastReply,
+                        flags: {},
+                        inheritLimit: 0,
+                        data: body
+                    }]
+                })
+                    .return(null);
+            }
+
+            var recptConfs = [];
+            textStat.miscInfo.forEach(function(mi) {
+                if (mi.recpt !== undefined) {
+                    recptConfs.push(mi.recpt);
+                }
+            });
+
+            return getConfAuxItems(client, recptConfs)
+                .then(function(confAuxItems) {
+                    var recipients = getCommentRecipients(textStat, confAuxItems, options);
+                    var builder = new TextBuilder(client);
+
+                    recipients.forEach(function(r) {
+                        if (r.recpt !== undefined) {
+                            builder.to(r.recpt);
+                        }
+                        else if (r.ccRecpt !== undefined) {
+                            builder.cc(r.ccRecpt);
+                        }
+                        else {
+                            builder.bcc(r.bccRecpt);
+                        }
+                    });
+
+                    if (options.contentType) {
+                        builder.contentType(options.contentType, options.charset);
+                    }
+                    else if (original.contentType !== 'x-kom/text' || original.charset !== 'latin1') {
+                        // Use the same charset as the commented text,
+                        // so the subject can be encoded
+                        builder.contentType(original.contentType, original.charset);
+                    }
+
+                    return builder
+                        .commentTo(textNo)
+                        .subject(options.subject !== undefined ? options.subject : original.subject)
+                        .body(body)
+                        .create();
+                });
+        });
+};
+
+
+exports.getCommentRecipients = getCommentRecipients;
+exports.reply = reply;
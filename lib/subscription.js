@@ -0,0 +1,91 @@
+/* LysKOM protocol A async message subscriptions
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:subscription');
+
+
+/** Listen to async messages from a client on behalf of an object that
+ * loads its state with some requests, and then keeps it current with
+ * the messages.
+ *
+ * Messages that arrive while the state is loading are held back until
+ * ready() is called, so that none are lost and they are applied on top
+ * of the loaded state.
+ *
+ * Parameters:
+ *  - client: Client object
+ *  - handlers: object mapping async message names to functions
+ */
+var Subscription = function(client, handlers) {
+    this._client = client;
+    this._listeners = {};
+    this._held = null; // array of { handler, msg } while loading
+
+    for (var name in handlers) {
+        if (handlers.hasOwnProperty(name)) {
+            this._listeners[name] = this._onMessage.bind(this, handlers[name]);
+        }
+    }
+};
+
+module.exports = Subscription;
+
+
+/** Start listening before loading the state, holding back messages
+ * until ready() is called.  Can be called again when reloading
+ * without adding the listeners twice.
+ */
+Subscription.prototype.listen = function() {
+    this.close();
+    this._held = [];
+
+    for (var name in this._listeners) {
+        if (this._listeners.hasOwnProperty(name)) {
+            this._client.on(name, this._listeners[name]);
+        }
+    }
+};
+
+
+/** Call when the state has been loaded, to apply the messages that
+ * were held back and pass on new ones directly.
+ */
+Subscription.prototype.ready = function() {
+    var held = this._held || [];
+    this._held = null;
+
+    debug('applying %s held messages', held.length);
+
+    held.forEach(function(h) {
+        h.handler(h.msg);
+    });
+};
+
+
+/** Stop listening, dropping any held messages.
+ */
+Subscription.prototype.close = function() {
+    this._held = null;
+
+    for (var name in this._listeners) {
+        if (this._listeners.hasOwnProperty(name)) {
+            this._client.removeListener(name, this._listeners[name]);
+        }
+    }
+};
+
+
+Subscription.prototype._onMessage = function(handler, msg) {
+    if (this._held) {
+        this._held.push({ handler: handler, msg: msg });
+    }
+    else {
+        handler(msg);
+    }
+};
@@ -0,0 +1,329 @@
+/* LysKOM protocol A text composition
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:textbuilder');
+
+var Promise = require('bluebird');
+var iconv = require('iconv-lite');
+
+var protocol = require('./protocol');
+var errors = require('./errors');
+var auxItems = require('./auxitems');
+
+
+var checkTextNo = function(textNo) {
+    if (typeof textNo !== 'number' || textNo <= 0) {
+        throw new errors.ClientError('invalid text number: ' + textNo);
+    }
+};
+
+
+/** Build the parameters for createText or createAnonymousText.
+ *
+ * All methods except build(), create() and createAnonymous() return
+ * the builder itself, so calls can be chained:
+ *
+ *   new TextBuilder(client)
+ *       .to('Some conference')
+ *       .commentTo(4711)
+ *       .subject('Hello')
+ *       .body('world')
+ *       .create();
+ *
+ * Parameters:
+ *  - client: Client object, used to look up conference names and
+ *    to send the text.  Only needed if names are used or the text
+ *    is created through the builder.
+ */
+var TextBuilder = function(client) {
+    this._client = client || null;
+
+    this._recipients = []; // { type, conf } where conf is a number or name
+    this._commentTo = [];
+    this._footnoteTo = [];
+    this._subject = '';
+    this._body = '';
+    this._contentType = null;
+    this._auxItems = [];
+};
+
+module.exports = TextBuilder;
+
+
+/** Add a recipient.  conf can be a conference number or name.
+ */
+TextBuilder.prototype.to = function(conf) {
+    return this._addRecipient('recpt', conf);
+};
+
+/** Add a carbon copy recipient.  conf can be a conference number or name.
+ */
+TextBuilder.prototype.cc = function(conf) {
+    return this._addRecipient('ccRecpt', conf);
+};
+
+/** Add a blind carbon copy recipient.  conf can be a conference
+ * number or name.
+ */
+TextBuilder.prototype.bcc = function(conf) {
+    return this._addRecipient('bccRecpt', conf);
+};
+
+
+/** Make the text a comment to another text.
+ */
+TextBuilder.prototype.commentTo = function(textNo) {
+    checkTextNo(textNo);
+
+    if (this._commentTo.indexOf(textNo) >= 0 || this._footnoteTo.indexOf(textNo) >= 0) {
+        throw new errors.ClientError('already a comment or footnote to text: ' + textNo);
+    }
+
+    this._commentTo.push(textNo);
+    return this;
+};
+
+/** Make the text a footnote to another text.
+ */
+TextBuilder.prototype.footnoteTo = function(textNo) {
+    checkTextNo(textNo);
+
+    if (this._commentTo.indexOf(textNo) >= 0 || this._footnoteTo.indexOf(textNo) >= 0) {
+        throw new errors.ClientError('already a comment or footnote to text: ' + textNo);
+    }
+
+    this._footnoteTo.push(textNo);
+    return this;
+};
+
+
+/** Set the subject, which must be a single line.
+ */
+TextBuilder.prototype.subject = function(subject) {
+    if (typeof subject !== 'string') {
+        throw new errors.ClientError('subject must be a string: ' + subject);
+    }
+
+    if (subject.indexOf('\n') >= 0) {
+        throw new errors.ClientError('subject cannot contain newlines');
+    }
+
+    this._subject = subject;
+    return this;
+};
+
+/** Set the body, as a string or as a Buffer of already encoded data.
+ */
+TextBuilder.prototype.body = function(body) {
+    if (typeof body !== 'string' && !(body instanceof Buffer)) {
+        throw new errors.ClientError('body must be a string or a Buffer: ' + body);
+    }
+
+    this._body = body;
+    return this;
+};
+
+/** Set the content type of the text, optionally with a charset.  The
+ * subject and body are encoded in this charset, defaulting to latin1.
+ *
+ * Examples:
+ *   .contentType('text/plain', 'utf-8')
+ *   .contentType('text/plain; charset=utf-8')
+ */
+TextBuilder.prototype.contentType = function(contentType, charset) {
+    if (charset) {
+        contentType += '; charset=' + charset;
+    }
+
+    var m = contentType.match(/;\s*charset\s*=\s*"?([^";\s]+)/i);
+    if (m && !iconv.encodingExists(m[1])) {
+        throw new errors.ClientError('unknown charset: ' + m[1]);
+    }
+
+    this._contentType = contentType;
+    return this;
+};
+
+/** Add an aux item.
+ *
+ * Parameters:
+ *  - tag: aux item number, or name as in protocol.aux
+ *  - data: string or Buffer, or a value that is encoded by the
+ *    codec registered for the tag (see auxitems.js)
+ *  - flags: optional AuxItemFlags object
+ *  - inheritLimit: optional inherit limit (default 0)
+ */
+TextBuilder.prototype.aux = function(tag, data, flags, inheritLimit) {
+    var item = auxItems.encode(tag, data, flags, inheritLimit);
+
+    if (item.tag === protocol.aux.contentType) {
+        throw new errors.ClientError('use contentType() to set the content type');
+    }
+
+    this._auxItems.push(item);
+    return this;
+};
+
+
+/** Resolve any conference names and check that the text can be
+ * created.
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to a { text, miscInfo, auxItems }
+ *    object for createText or createAnonymousText
+ */
+TextBuilder.prototype.build = function(cb) {
+    var self = this;
+
+    return Promise.all(this._recipients.map(function(r) {
+        return self._resolveConf(r.conf);
+    }))
+        .then(function(confNos) {
+            if (!confNos.length) {
+                throw new errors.ClientError('text must have at least one recipient');
+            }
+
+            var miscInfo = [];
+            var seen = {};
+            var i, mi;
+
+            for (i = 0; i < confNos.length; i++) {
+                if (seen[confNos[i]]) {
+                    throw new errors.ClientError('conference is already a recipient: ' + confNos[i]);
+                }
+                seen[confNos[i]] = true;
+
+                mi = {};
+                mi[self._recipients[i].type] = confNos[i];
+                miscInfo.push(mi);
+            }
+
+            for (i = 0; i < self._commentTo.length; i++) {
+                miscInfo.push({ commTo: self._commentTo[i] });
+            }
+
+            for (i = 0; i < self._footnoteTo.length; i++) {
+                miscInfo.push({ footnTo: self._footnoteTo[i] });
+            }
+
+            var items = self._auxItems.slice();
+            var charset = 'latin1';
+
+            if (self._contentType) {
+                items.unshift({
+                    tag: protocol.aux.contentType,
+                    flags: {},
+                    inheritLimit: 0,
+                    data: self._contentType
+                });
+
+                var m = self._contentType.match(/;\s*charset\s*=\s*"?([^";\s]+)/i);
+                if (m) {
+                    charset = m[1];
+                }
+            }
+
+            var body = self._body;
+            if (typeof body === 'string') {
+                body = iconv.encode(body, charset);
+            }
+
+            return {
+                text: Buffer.concat([iconv.encode(self._subject + '\n', charset), body]),
+                miscInfo: miscInfo,
+                auxItems: items
+            };
+        })
+        .nodeify(cb);
+};
+
+
+/** Build and send the text with createText.
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to the new text number
+ */
+TextBuilder.prototype.create = function(cb) {
+    var client = this._getClient();
+
+    return this.build()
+        .then(function(params) {
+            return client.createText(params);
+        })
+        .nodeify(cb);
+};
+
+/** Build and send the text with createAnonymousText.
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to the new text number
+ */
+TextBuilder.prototype.createAnonymous = function(cb) {
+    var client = this._getClient();
+
+    return this.build()
+        .then(function(params) {
+            return client.createAnonymousText(params);
+        })
+        .nodeify(cb);
+};
+
+
+TextBuilder.prototype._addRecipient = function(type, conf) {
+    if (!(typeof conf === 'number' && conf > 0) && !(typeof conf === 'string' && conf)) {
+        throw new errors.ClientError('invalid recipient: ' + conf);
+    }
+
+    this._recipients.push({ type: type, conf: conf });
+    return this;
+};
+
+
+TextBuilder.prototype._getClient = function() {
+    if (!this._client) {
+        throw new errors.ClientError('TextBuilder needs a client to do this');
+    }
+
+    return this._client;
+};
+
+
+/** Resolve a conference name into a number using lookupZName.  An
+ * exact (case-insensitive) match is used if there are several matches.
+ */
+TextBuilder.prototype._resolveConf = function(conf) {
+    if (typeof conf === 'number') {
+        return Promise.resolve(conf);
+    }
+
+    return Promise.try(this._getClient.bind(this))
+        .then(function(client) {
+            return client.lookupZName({ name: conf, wantPersons: true, wantConfs: true });
+        })
+        .then(function(matches) {
+            var exact = matches.filter(function(m) {
+                return iconv.decode(m.name, 'latin1').toLowerCase() === conf.toLowerCase();
+            });
+
+            if (exact.length === 1) {
+                matches = exact;
+            }
+
+            if (matches.length === 0) {
+                throw new errors.ClientError('unknown conference: ' + conf);
+            }
+
+            if (matches.length > 1) {
+                throw new errors.ClientError('ambiguous conference name: ' + conf);
+            }
+
+            debug('resolved %s to %s', conf, matches[0].confNo);
+            return matches[0].confNo;
+        });
+};
@@ -0,0 +1,121 @@
+/* LysKOM protocol A text mapping iteration
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:textmapping');
+
+var Promise = require('bluebird');
+
+var iterator = require('./iterator');
+
+
+/** Translate a Text-Mapping into an array of { localNo, textNo }
+ * pairs, skipping any deleted texts in dense blocks.
+ */
+var getTextMappingPairs = function(mapping) {
+    var pairs = [];
+    var i;
+
+    if (mapping.block.sparse) {
+        var sparse = mapping.block.sparse;
+        for (i = 0; i < sparse.length; i++) {
+            pairs.push({ localNo: sparse[i].localNumber,
+                         textNo: sparse[i].globalNumber });
+        }
+    }
+    else {
+        var dense = mapping.block.dense;
+        for (i = 0; i < dense.texts.length; i++) {
+            if (dense.texts[i] !== 0) {
+                pairs.push({ localNo: dense.firstLocalNo + i,
+                             textNo: dense.texts[i] });
+            }
+        }
+    }
+
+    return pairs;
+};
+
+
+/** Iterate over the local to global text number mapping of a
+ * conference, in increasing local number order.  New local-to-global
+ * requests are sent as needed while the server says there are more
+ * texts.
+ *
+ * Use next() or forEach(), which get { localNo, textNo } objects, or a
+ * for-await loop where supported (see iterator.mixin()).
+ *
+ * Parameters:
+ *  - client: Client object
+ *  - confNo: conference to iterate over
+ *  - options:
+ *    - first: first local text number (default 1)
+ *    - batchSize: number of texts to ask for in each request (default 100)
+ */
+var TextMappingIterator = function(client, confNo, options) {
+    options = options || {};
+
+    this._client = client;
+    this._confNo = confNo;
+    this._nextLocalNo = options.first || 1;
+    this._batchSize = options.batchSize || 100;
+
+    this._pairs = [];
+    this._fetching = null;
+    this._done = false;
+};
+
+module.exports = TextMappingIterator;
+
+TextMappingIterator.getTextMappingPairs = getTextMappingPairs;
+
+
+/** Get the next text number pair.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves to an object with these properties:
+ *    - done: true if there are no more texts
+ *    - value: { localNo, textNo } if not done
+ */
+TextMappingIterator.prototype.next = function() {
+    if (this._pairs.length) {
+        return Promise.resolve({ done: false, value: this._pairs.shift() });
+    }
+
+    if (this._done) {
+        return Promise.resolve({ done: true, value: undefined });
+    }
+
+    return this._fetch().then(this.next.bind(this));
+};
+
+
+TextMappingIterator.prototype._fetch = function() {
+    if (!this._fetching) {
+        debug('conf %s: fetching from %s', this._confNo, this._nextLocalNo);
+
+        this._fetching = this._client.localToGlobal({
+            confNo: this._confNo,
+            firstLocalNo: this._nextLocalNo,
+            noOfExistingTexts: this._batchSize
+        })
+            .then(function(mapping) {
+                this._pairs = this._pairs.concat(getTextMappingPairs(mapping));
+                this._nextLocalNo = mapping.rangeEnd;
+                this._done = !mapping.laterTextsExists;
+            }.bind(this))
+            .finally(function() {
+                this._fetching = null;
+            }.bind(this));
+    }
+
+    return this._fetching;
+};
+
+
+iterator.mixin(TextMappingIterator);
@@ -0,0 +1,294 @@
+/* LysKOM protocol A comment thread traversal
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+var debug = require('debug')('lyskom-client:thread');
+
+var Promise = require('bluebird');
+
+var errors = require('./errors');
+var iterator = require('./iterator');
+
+
+/** Fetch a Text-Stat, resolving to null if the text doesn't exist or
+ * is not readable by us.
+ */
+var getTextStat = function(client, textNo) {
+    return client.getTextStat({ textNo: textNo })
+        .catch(errors.NoSuchTextError, function() {
+            debug('text %s: no such text', textNo);
+            return null;
+        });
+};
+
+
+/** Get the text that a text is a comment or footnote to, or null.
+ */
+var getParent = function(textStat) {
+    for (var i = 0; i < textStat.miscInfo.length; i++) {
+        var mi = textStat.miscInfo[i];
+        if (mi.commTo !== undefined) {
+            return mi.commTo;
+        }
+        if (mi.footnTo !== undefined) {
+            return mi.footnTo;
+        }
+    }
+
+    return null;
+};
+
+
+/** Get the comments and footnotes to a text.
+ */
+var getChildren = function(textStat) {
+    var children = { comments: [], footnotes: [] };
+
+    for (var i = 0; i < textStat.miscInfo.length; i++) {
+        var mi = textStat.miscInfo[i];
+        if (mi.footnIn !== undefined) {
+            children.footnotes.push(mi.footnIn);
+        }
+        else if (mi.commIn !== undefined) {
+            children.comments.push(mi.commIn);
+        }
+    }
+
+    return children;
+};
+
+
+/** Walk up the comment chain from a text to the root of the thread,
+ * stopping at missing texts.
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to { textNo, textStat } for the root
+ */
+var findRoot = function(client, textNo, options) {
+    var maxAncestors = options.maxAncestors;
+    var seen = {};
+
+    if (maxAncestors === undefined) {
+        maxAncestors = Infinity;
+    }
+
+    var walk = function(textNo, textStat, steps) {
+        seen[textNo] = true;
+
+        var parent = getParent(textStat);
+        if (parent === null || steps >= maxAncestors || seen[parent]) {
+            return { textNo: textNo, textStat: textStat };
+        }
+
+        return getTextStat(client, parent)
+            .then(function(parentStat) {
+                if (!parentStat) {
+                    return { textNo: textNo, textStat: textStat };
+                }
+
+                return walk(parent, parentStat, steps + 1);
+            });
+    };
+
+    // Let any errors for the starting text itself through
+    return client.getTextStat({ textNo: textNo })
+        .then(function(textStat) {
+            if (options.findRoot === false) {
+                return { textNo: textNo, textStat: textStat };
+            }
+
+            return walk(textNo, textStat, 0);
+        });
+};
+
+
+/** Fetch the whole comment tree that a text is part of.
+ *
+ * The comment chain is followed from the text up to the root, and
+ * then down through all comments and footnotes.  Each text is only
+ * included once, under the first parent found in breadth-first
+ * order.  Deleted or unreadable texts are left out.
+ *
+ * Options:
+ *  - findRoot: if false, start at textNo instead of the root (default true)
+ *  - maxAncestors: max number of levels to walk up (default no limit)
+ *  - maxDepth: max number of levels below the root (default no limit)
+ *
+ * Return:
+ *  - Bluebird Promise, resolving to the root node.  Each node is an
+ *    object with these properties:
+ *    - textNo
+ *    - textStat
+ *    - depth: 0 for the root
+ *    - comments: array of nodes
+ *    - footnotes: array of nodes
+ */
+var getThread = function(client, textNo, options) {
+    options = options || {};
+
+    var maxDepth = options.maxDepth === undefined ? Infinity : options.maxDepth;
+    var seen = {};
+
+    var makeNode = function(textNo, textStat, depth) {
+        seen[textNo] = true;
+        return { textNo: textNo, textStat: textStat, depth: depth,
+                 comments: [], footnotes: [] };
+    };
+
+    // Fetch one level of the tree at a time, to get a stable order
+    // when placing texts that are comments to several texts
+    var expand = function(level) {
+        var next = [];
+
+        level.forEach(function(node) {
+            if (node.depth >= maxDepth) {
+                return;
+            }
+
+            var children = getChildren(node.textStat);
+
+            ['footnotes', 'comments'].forEach(function(type) {
+                children[type].forEach(function(childNo) {
+                    if (!seen[childNo]) {
+                        seen[childNo] = true;
+                        next.push({ parent: node, type: type, textNo: childNo });
+                    }
+                });
+            });
+        });
+
+        if (!next.length) {
+            return;
+        }
+
+        return Promise.all(next.map(function(child) {
+            return getTextStat(client, child.textNo);
+        }))
+            .then(function(textStats) {
+                var nextLevel = [];
+
+                for (var i = 0; i < next.length; i++) {
+                    if (textStats[i]) {
+                        var child = next[i];
+                        var node = makeNode(child.textNo, textStats[i], child.parent.depth + 1);
+                        child.parent[child.type].push(node);
+                        nextLevel.push(node);
+                    }
+                }
+
+                return expand(nextLevel);
+            });
+    };
+
+    return findRoot(client, textNo, options)
+        .then(function(root) {
+            var rootNode = makeNode(root.textNo, root.textStat, 0);
+
+            return Promise.resolve(expand([rootNode])).return(rootNode);
+        });
+};
+
+
+/** Iterate over the comment tree that a text is part of, in
+ * depth-first order, fetching texts as they are needed.
+ *
+ * Takes the same options as getThread().  Each text is only
+ * visited once.  Deleted or unreadable texts are skipped.
+ *
+ * Use next() or forEach(), which get { textNo, textStat, depth,
+ * parent } objects, or a for-await loop where supported (see
+ * iterator.mixin()).
+ */
+var ThreadIterator = function(client, textNo, options) {
+    this._client = client;
+    this._textNo = textNo;
+    this._options = options || {};
+
+    this._maxDepth = this._options.maxDepth;
+    if (this._maxDepth === undefined) {
+        this._maxDepth = Infinity;
+    }
+
+    // Stack of { textNo, textStat, depth, parent } still to visit
+    this._stack = null;
+    this._seen = {};
+    this._pending = null;
+};
+
+
+/** Get the next text in the thread.
+ *
+ * Return:
+ *  - Bluebird Promise, which resolves to an object with these properties:
+ *    - done: true if there are no more texts
+ *    - value: { textNo, textStat, depth, parent } if not done
+ */
+ThreadIterator.prototype.next = function() {
+    // Serialize calls, since each step depends on the previous one
+    var step = this._pending ? this._pending.then(this._next.bind(this)) : this._next();
+    this._pending = step.catch(function() {});
+    return step;
+};
+
+
+ThreadIterator.prototype._next = function() {
+    var self = this;
+
+    if (this._stack === null) {
+        return findRoot(this._client, this._textNo, this._options)
+            .then(function(root) {
+                self._seen[root.textNo] = true;
+                self._stack = [];
+                return self._visit({ textNo: root.textNo, textStat: root.textStat,
+                                     depth: 0, parent: null });
+            });
+    }
+
+    if (!this._stack.length) {
+        return Promise.resolve({ done: true, value: undefined });
+    }
+
+    var item = this._stack.pop();
+
+    return getTextStat(this._client, item.textNo)
+        .then(function(textStat) {
+            if (!textStat) {
+                // Skip missing texts
+                return self._next();
+            }
+
+            item.textStat = textStat;
+            return self._visit(item);
+        });
+};
+
+
+ThreadIterator.prototype._visit = function(item) {
+    if (item.depth < this._maxDepth) {
+        var children = getChildren(item.textStat);
+        var childNos = children.footnotes.concat(children.comments);
+
+        // Push in reverse, so the first child is visited first
+        for (var i = childNos.length - 1; i >= 0; i--) {
+            if (!this._seen[childNos[i]]) {
+                this._seen[childNos[i]] = true;
+                this._stack.push({ textNo: childNos[i], textStat: null,
+                                   depth: item.depth + 1, parent: item.textNo });
+            }
+        }
+    }
+
+    return { done: false, value: item };
+};
+
+
+iterator.mixin(ThreadIterator);
+
+
+exports.getThread = getThread;
+exports.ThreadIterator = ThreadIterator;
@@ -0,0 +1,264 @@
+/* LysKOM protocol A aux item codec unit tests
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+// silence errors about "foo.should.be.true;"
+/* jshint -W030 */
+
+/* global describe, it, afterEach */
+
+var should = require('should'); // jshint ignore:line
+
+var errors = require('../lib/errors');
+var protocol = require('../lib/protocol');
+var auxItems = require('../lib/auxitems');
+
+
+var auxItem = function(tag, data, flags) {
+    return { tag: tag, flags: flags || {}, data: new Buffer(data, 'binary') };
+};
+
+
+describe('auxitems', function() {
+    it('should share tags with protocol.aux', function() {
+        protocol.aux.should.equal(auxItems.tags);
+        protocol.aux.contentType.should.equal(1);
+        protocol.aux.mxMimeFileName.should.equal(10104);
+    });
+
+    it('should decode content-type', function() {
+        auxItems.decode(auxItem(1, 'Text/Plain; charset="UTF-8"')).should.eql({
+            type: 'text/plain', params: { charset: 'UTF-8' }
+        });
+
+        auxItems.decode(auxItem(1, 'x-kom/text')).should.eql({
+            type: 'x-kom/text', params: {}
+        });
+    });
+
+    it('should decode cross-references', function() {
+        auxItems.decode(auxItem(3, 'T123')).should.eql({ type: 'text', no: 123 });
+        auxItems.decode(auxItem(3, 'C45 Some conf')).should.eql({
+            type: 'conference', no: 45, description: 'Some conf'
+        });
+        auxItems.decode(auxItem(3, 'P6')).should.eql({ type: 'person', no: 6 });
+
+        // Unparseable data is left as a string
+        auxItems.decode(auxItem(3, 'X1')).should.equal('X1');
+    });
+
+    it('should decode mx-date with time zone', function() {
+        var date = auxItems.decode(auxItem(21, '2014-10-09 12:34:56 +0200'));
+        date.should.be.instanceof(Date);
+        date.toISOString().should.equal('2014-10-09T10:34:56.000Z');
+
+        date = auxItems.decode(auxItem(21, '2014-10-09 12:34:56 -0130'));
+        date.toISOString().should.equal('2014-10-09T14:04:56.000Z');
+    });
+
+    it('should decode mx-date without time zone as local time', function() {
+        var date = auxItems.decode(auxItem(21, '2014-10-09 12:34'));
+        date.getHours().should.equal(12);
+        date.getMinutes().should.equal(34);
+        date.getSeconds().should.equal(0);
+    });
+
+    it('should decode numbers, strings and flags', function() {
+        auxItems.decode(auxItem(14, '4711')).should.equal(4711);
+        auxItems.decode(auxItem(13, 'foo@example.com')).should.equal('foo@example.com');
+        auxItems.decode(auxItem(31, 'F\xf6\xf6')).should.equal('Föö');
+        auxItems.decode(auxItem(15, 'lyskom.el 0.48')).should.equal('lyskom.el 0.48');
+        auxItems.decode(auxItem(5, '')).should.be.true;
+        auxItems.decode(auxItem(33, '12 1')).should.eql({ confNo: 12, recptType: 'ccRecpt' });
+        auxItems.decode(auxItem(8, 'LysKOM:17')).should.eql({ type: 'LysKOM', target: '17' });
+    });
+
+    it('should decode send-comments-to recipient types', function() {
+        auxItems.decode(auxItem(33, '12')).should.eql({ confNo: 12, recptType: 'recpt' });
+        auxItems.decode(auxItem(33, '12 0')).should.eql({ confNo: 12, recptType: 'recpt' });
+        auxItems.decode(auxItem(33, '12 15')).should.eql({ confNo: 12, recptType: 'bccRecpt' });
+        auxItems.decode(auxItem(33, '12 7')).should.equal('12 7');
+    });
+
+    it('should decode unregistered tags as strings', function() {
+        auxItems.decode(auxItem(99999, 'foo')).should.equal('foo');
+    });
+
+    it('should decode a list of aux items by name', function() {
+        var aux = auxItems.decodeAll([
+            auxItem(1, 'text/plain'),
+            auxItem(2, 'Bra!'),
+            auxItem(2, 'Nej'),
+            auxItem(2, 'Deleted', { deleted: true }),
+            auxItem(14, '100'),
+            auxItem(31, 'Foo'),
+            auxItem(99999, 'unknown')
+        ]);
+
+        aux.should.eql({
+            contentType: { type: 'text/plain', params: {} },
+            fastReply: ['Bra!', 'Nej'],
+            faqText: [100],
+            canonicalName: 'Foo'
+        });
+    });
+
+    it('should encode values', function() {
+        auxItems.encode('crossReference', { type: 'conference', no: 45, description: 'Foo' })
+            .should.eql({ tag: 3, flags: {}, inheritLimit: 0, data: 'C45 Foo' });
+
+        auxItems.encode(21, new Date(Date.UTC(2014, 9, 9, 8, 5, 6))).data
+            .should.equal('2014-10-09 08:05:06 +0000');
+
+        auxItems.encode('contentType', { type: 'text/plain', params: { charset: 'utf-8' } }).data
+            .should.equal('text/plain; charset=utf-8');
+
+        auxItems.encode('faqText', 4711, { inherit: true }, 2)
+            .should.eql({ tag: 14, flags: { inherit: true }, inheritLimit: 2, data: '4711' });
+
+        auxItems.encode('mxTo', 'foo@example.com').data.should.equal('foo@example.com');
+        auxItems.encode('sendCommentsTo', { confNo: 12, recptType: 'recpt' }).data
+            .should.equal('12');
+        auxItems.encode('sendCommentsTo', { confNo: 12, recptType: 'ccRecpt' }).data
+            .should.equal('12 1');
+        auxItems.encode('sendCommentsTo', { confNo: 12, recptType: 'bccRecpt' }).data
+            .should.equal('12 15');
+    });
+
+    it('should reject unknown names and values', function() {
+        (function() {
+            auxItems.encode('noSuchItem', 'foo');
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            auxItems.encode(99999, { foo: 1 });
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            auxItems.encode('crossReference', { type: 'foo', no: 1 });
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            auxItems.encode('sendCommentsTo', { confNo: 12, recptType: 'foo' });
+        }).should.throw(errors.ClientError);
+    });
+
+    describe('registry', function() {
+        afterEach(function() {
+            auxItems.unregister(20001);
+        });
+
+        it('should let applications register tags', function() {
+            auxItems.register(20001, 'testJson', {
+                decode: function(data) { return JSON.parse(data.toString()); },
+                encode: function(value) { return JSON.stringify(value); }
+            });
+
+            protocol.aux.testJson.should.equal(20001);
+
+            var item = auxItems.encode('testJson', { a: 1 });
+            item.data.should.equal('{"a":1}');
+
+            auxItems.decodeAll([auxItem(20001, item.data)]).should.eql({ testJson: { a: 1 } });
+
+            (function() {
+                auxItems.register(20002, 'testJson', {});
+            }).should.throw(errors.ClientError);
+
+            auxItems.unregister('testJson');
+            protocol.aux.should.not.have.property('testJson');
+            auxItems.decodeAll([auxItem(20001, item.data)]).should.eql({});
+        });
+
+        it('should not let applications change predefined tags', function() {
+            (function() {
+                auxItems.register(1, 'myContentType', {});
+            }).should.throw(errors.ClientError);
+
+            (function() {
+                auxItems.unregister('contentType');
+            }).should.throw(errors.ClientError);
+
+            protocol.aux.contentType.should.equal(1);
+            protocol.aux.should.not.have.property('myContentType');
+        });
+
+        it('should not let applications write to protocol.aux', function() {
+            (function() {
+                protocol.aux.contentType = 2;
+            }).should.throw(TypeError);
+
+            auxItems.encode('contentType', 'text/plain').tag.should.equal(1);
+        });
+
+        it('should decode data that the codec rejects as strings', function() {
+            auxItems.register(20001, 'testJson', {
+                decode: function(data) { return JSON.parse(data.toString()); },
+                encode: function(value) { return JSON.stringify(value); }
+            });
+
+            auxItems.decode(auxItem(20001, '{x}')).should.equal('{x}');
+            auxItems.decodeAll([auxItem(20001, '{x}')]).should.eql({ testJson: '{x}' });
+        });
+    });
+
+    describe('diff', function() {
+        var current = function(auxNo, tag, data, flags, inheritLimit) {
+            return { auxNo: auxNo, tag: tag, creator: 4711, flags: flags || {},
+                     inheritLimit: inheritLimit || 0, data: new Buffer(data, 'binary') };
+        };
+
+        it('should do nothing if items are unchanged', function() {
+            auxItems.diff(
+                [current(1, 1, 'text/plain'), current(2, 2, 'Bra')],
+                [{ tag: 'fastReply', data: 'Bra' }, { tag: 1, data: 'text/plain' }]
+            ).should.eql({ delete: [], add: [] });
+        });
+
+        it('should delete and add changed items', function() {
+            var changes = auxItems.diff(
+                [current(1, 2, 'Bra'), current(2, 2, 'Nej'), current(3, 31, 'Foo')],
+                [{ tag: 'fastReply', data: 'Nej' }, { tag: 'canonicalName', data: 'Bar' }]
+            );
+
+            changes.delete.should.eql([1, 3]);
+            changes.add.should.eql([{ tag: 31, flags: {}, inheritLimit: 0, data: 'Bar' }]);
+        });
+
+        it('should replace items with different flags', function() {
+            var changes = auxItems.diff(
+                [current(1, 31, 'Foo', { inherit: true }, 2),
+                 current(2, 13, 'a@b', { secret: true }),
+                 current(3, 15, 'x', { dontGarb: true, deleted: false })],
+                [{ tag: 'canonicalName', data: 'Foo', flags: { inherit: true }, inheritLimit: 2 },
+                 { tag: 'emailAddress', data: 'a@b' },
+                 { tag: 'creatingSoftware', data: 'x', flags: { dontGarb: true } }]
+            );
+
+            changes.delete.should.eql([2]);
+            changes.add.should.eql([{ tag: 13, flags: {}, inheritLimit: 0, data: 'a@b' }]);
+        });
+
+        it('should ignore deleted items and items with other tags', function() {
+            auxItems.diff(
+                [current(1, 1, 'text/plain'),
+                 current(2, 2, 'Bra', { deleted: true }),
+                 current(3, 2, 'Nej')],
+                [{ tag: 'fastReply', data: 'Nej' }],
+                { tags: ['fastReply'] }
+            ).should.eql({ delete: [], add: [] });
+        });
+
+        it('should encode desired values', function() {
+            auxItems.diff(
+                [current(1, 3, 'T100')],
+                [{ tag: 'crossReference', data: { type: 'text', no: 100 } }]
+            ).should.eql({ delete: [], add: [] });
+        });
+    });
+});
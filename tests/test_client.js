@@ -17,13 +17,16 @@ var util = require('util');
 var events = require('events');
 var should = require('should'); // jshint ignore:line
 
+var Promise = require('bluebird');
+
 var Client = require('../lib/client');
 var errors = require('../lib/errors');
 
 
 // Dummy Socket, which expect Client to send some data, then respond
 // with some other data.  Arguments is a list of
-// { expect: string, send: [strings...] }
+// { expect: string, send: [strings...] }, where send can be replaced
+// by close: true to drop the connection after getting the data
 
 var ExpectSocket = function() {
     this.expect = Array.prototype.slice.call(arguments);
@@ -37,6 +40,7 @@ var ExpectSocket = function() {
 
 util.inherits(ExpectSocket, events.EventEmitter);
 
+// Set socket.writeResult to false to simulate a full socket buffer
 ExpectSocket.prototype.write = function(data) {
     data.should.be.instanceof(Buffer);
 
@@ -47,6 +51,12 @@ ExpectSocket.prototype.write = function(data) {
     sent.should.equal(e.expect);
 
     setTimeout(function() {
+        if (e.close) {
+            this.emit('end');
+            this.emit('close');
+            return;
+        }
+
         for (var i = 0; i < e.send.length; i++) {
             var d = e.send[i];
             if (typeof d === 'string') {
@@ -56,6 +66,8 @@ ExpectSocket.prototype.write = function(data) {
             this.emit('data', d);
         }
     }.bind(this), 0);
+
+    return this.writeResult;
 };
 
 ExpectSocket.prototype.end = function() {
@@ -73,6 +85,29 @@ ExpectSocket.prototype.destroy = function() {
 };
 
 
+// Minimal AbortSignal, since AbortController needs Node 15
+
+var FakeSignal = function() {
+    events.EventEmitter.call(this);
+    this.aborted = false;
+};
+
+util.inherits(FakeSignal, events.EventEmitter);
+
+FakeSignal.prototype.addEventListener = function(type, listener) {
+    this.on(type, listener);
+};
+
+FakeSignal.prototype.removeEventListener = function(type, listener) {
+    this.removeListener(type, listener);
+};
+
+FakeSignal.prototype.abort = function() {
+    this.aborted = true;
+    this.emit('abort');
+};
+
+
 describe('Client', function() {
     this.timeout(1000);
 
@@ -291,4 +326,676 @@ describe('Client', function() {
             done();
         });
     });
+
+    it('should read and decode text with charset', function(done) {
+        var text = new Buffer('Rubrik\nHej p\u00e5 dig', 'utf8');
+        var c = new Client(new ExpectSocket(
+            { expect: 'A11Htest%foobar\n',
+              send: ['LysKOM\n'] },
+            { expect: '0 90 100\n',
+              send: [ '=0 10 20 12 18 9 114 6 291 1 4711 2 17 0 1 { 0 6 } ' +
+                      '1 { 1 1 4711 10 20 12 18 9 114 6 291 1 00000000 0 ' +
+                      '25Htext/plain; charset=utf-8 }\n' ] },
+            { expect: '1 25 100 0 2147483647\n',
+              send: [ '=1 ' + text.length + 'H', text, '\n' ] }
+        ));
+
+        c.on('connect', function() {
+            c.readText(100)
+                .then(function(res) {
+                    res.textNo.should.equal(100);
+                    res.textStat.author.should.equal(4711);
+                    res.contentType.should.equal('text/plain');
+                    res.charset.should.equal('utf-8');
+                    res.subject.should.equal('Rubrik');
+                    res.body.should.equal('Hej p\u00e5 dig');
+                    c.close();
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    it('should read text as latin1 by default', function(done) {
+        var c = new Client(new ExpectSocket(
+            { expect: 'A11Htest%foobar\n',
+              send: ['LysKOM\n'] },
+            { expect: '0 90 100\n',
+              send: [ '=0 10 20 12 18 9 114 6 291 1 4711 1 6 0 1 { 0 6 } 0 *\n' ] },
+            { expect: '1 25 100 0 2147483647\n',
+              send: [ '=1 6H', new Buffer([0x52, 0xe4, 0x6b, 0x73, 0x6d, 0xf6]), '\n' ] }
+        ));
+
+        c.on('connect', function() {
+            c.readText(100, function(err, res) {
+                should(err).equal(null);
+                res.contentType.should.equal('x-kom/text');
+                res.charset.should.equal('latin1');
+                res.subject.should.equal('R\u00e4ksm\u00f6');
+                res.body.should.equal('');
+                c.close();
+                done();
+            });
+        });
+    });
+
+    it('should iterate over local to global mapping', function(done) {
+        var c = new Client(new ExpectSocket(
+            { expect: 'A11Htest%foobar\n',
+              send: ['LysKOM\n'] },
+            { expect: '0 103 4711 1 3\n',
+              send: [ '=0 1 5 1 0 2 { 1 100 4 104 }\n' ] },
+            { expect: '1 103 4711 5 3\n',
+              send: [ '=1 5 8 0 1 5 3 { 105 0 107 }\n' ] }
+        ));
+
+        c.on('connect', function() {
+            var pairs = [];
+
+            c.localToGlobalIterator(4711, { batchSize: 3 })
+                .forEach(function(pair) {
+                    pairs.push(pair);
+                })
+                .then(function() {
+                    pairs.should.eql([ { localNo: 1, textNo: 100 },
+                                       { localNo: 4, textNo: 104 },
+                                       { localNo: 5, textNo: 105 },
+                                       { localNo: 7, textNo: 107 } ]);
+                    c.close();
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    it('should parse async new-text and deleted-text', function(done) {
+        var c = new Client(new ExpectSocket(
+            { expect: 'A11Htest%foobar\n',
+              send: ['LysKOM\n',
+                     ':16 15 100 10 20 12 18 9 114 6 291 1 4711 1 6 0 ',
+                     '2 { 0 6 6 17 } 0 *\n',
+                     ':16 14 100 10 20 12 18 9 114 6 291 1 4711 1 6 0 2 { 0 6 6 17 } 0 *\n'] }
+        ));
+
+        var gotNewText = false;
+
+        c.on('connect', function() {
+            c.close();
+        });
+
+        c.on('new-text', function(msg) {
+            msg.textNo.should.equal(100);
+            msg.textStat.miscInfo.should.eql([ { recpt: 6 }, { locNo: 17 } ]);
+            gotNewText = true;
+        });
+
+        c.on('deleted-text', function(msg) {
+            gotNewText.should.be.true;
+            msg.textNo.should.equal(100);
+            msg.textStat.author.should.equal(4711);
+            done();
+        });
+    });
+
+    it('should page through all members', function(done) {
+        var member = function(persNo) {
+            return persNo + ' 4711 10 20 12 18 9 114 6 291 1 00000000 ';
+        };
+
+        var c = new Client(new ExpectSocket(
+            { expect: 'A11Htest%foobar\n',
+              send: ['LysKOM\n'] },
+            { expect: '0 101 4711 0 2\n',
+              send: [ '=0 2 { ' + member(6) + member(7) + '}\n' ] },
+            { expect: '1 101 4711 2 2\n',
+              send: [ '=1 2 { ' + member(8) + member(9) + '}\n' ] },
+            { expect: '2 101 4711 4 2\n',
+              send: [ '%2 19 4\n' ] }
+        ));
+
+        c.on('connect', function() {
+            c.getAllMembers(4711, { batchSize: 2 })
+                .then(function(members) {
+                    members.map(function(m) { return m.member; })
+                        .should.eql([6, 7, 8, 9]);
+                    c.close();
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    it('should reject with specific request error class', function(done) {
+        var c = new Client(new ExpectSocket(
+            { expect: 'A11Htest%foobar\n',
+              send: ['LysKOM\n'] },
+            { expect: '0 32 100 99\n',
+              send: [ '%0 28 99\n' ] }
+        ));
+
+        c.on('connect', function() {
+            c.addComment({ textNo: 100, commentTo: 99 })
+                .then(function() {
+                    done('should not resolve on error');
+                })
+                .catch(errors.AlreadyCommentError, function(err) {
+                    err.should.be.instanceof(errors.RequestError);
+                    err.name.should.equal('AlreadyCommentError');
+                    err.errorName.should.equal('already-comment');
+                    err.errorStatus.should.equal(99);
+                    c.close();
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    it('should update text aux items with minimal changes', function(done) {
+        var auxItem = function(auxNo, tag, data) {
+            return auxNo + ' ' + tag + ' 4711 10 20 12 18 9 114 6 291 1 00000000 0 ' +
+                data.length + 'H' + data + ' ';
+        };
+
+        var c = new Client(new ExpectSocket(
+            { expect: 'A11Htest%foobar\n',
+              send: ['LysKOM\n'] },
+            { expect: '0 90 100\n',
+              send: [ '=0 10 20 12 18 9 114 6 291 1 4711 1 6 0 1 { 0 6 } ' +
+                      '2 { ' + auxItem(1, 2, 'Bra') + auxItem(2, 31, 'Foo') + '}\n' ] },
+            { expect: '1 92 100 1 { 2 } 1 { 31 00001000 0 3HBar }\n',
+              send: [ '=1\n' ] }
+        ));
+
+        c.on('connect', function() {
+            c.updateTextAuxItems(100, [
+                { tag: 'fastReply', data: 'Bra' },
+                { tag: 'canonicalName', data: 'Bar', flags: { dontGarb: true } }
+            ])
+                .then(function(changes) {
+                    changes.delete.should.eql([2]);
+                    changes.add.should.have.length(1);
+                    c.close();
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('reconnect', function() {
+        it('should restore session and retry idempotent requests', function(done) {
+            var c = new Client(new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 62 5 3Hfoo 0\n',
+                  send: ['=0\n'] },
+                { expect: '1 80 1 { 15 }\n',
+                  send: ['=1\n'] },
+                { expect: '2 35\n',
+                  send: [] },
+                { expect: '3 32 100 99\n',
+                  close: true }
+            ), {
+                createSocket: function() {
+                    return new ExpectSocket(
+                        { expect: 'A11Htest%foobar\n',
+                          send: ['LysKOM\n'] },
+                        { expect: '4 62 5 3Hfoo 0\n',
+                          send: ['=4\n'] },
+                        { expect: '5 80 1 { 15 }\n',
+                          send: ['=5\n'] },
+                        { expect: '2 35\n',
+                          send: ['=2 10 20 12 18 9 114 6 291 1\n'] });
+                },
+                reconnect: { initialDelay: 1 }
+            });
+
+            var events = [];
+            c.on('reconnecting', function(info) {
+                info.attempt.should.equal(1);
+                info.delay.should.equal(1);
+                events.push('reconnecting');
+            });
+            c.on('reconnected', function() {
+                events.push('reconnected');
+            });
+
+            c.on('connect', function() {
+                c.login({ person: 5, passwd: 'foo', invisible: false })
+                    .then(function() {
+                        return c.acceptAsync({ requestList: [15] });
+                    })
+                    .then(function() {
+                        var time = c.getTime();
+                        var comment = c.addComment({ textNo: 100, commentTo: 99 })
+                            .then(function() {
+                                throw new Error('should not resolve after connection loss');
+                            })
+                            .catch(errors.ConnectionLostError, function() {
+                                events.push('rejected');
+                            });
+
+                        return Promise.all([time, comment]);
+                    })
+                    .then(function(res) {
+                        res[0].minutes.should.equal(20);
+                        events.should.eql(['reconnecting', 'rejected', 'reconnected']);
+                        c.close();
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should reject held requests when giving up', function(done) {
+            var c = new Client(new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  close: true }
+            ), {
+                createSocket: function() { throw new Error('cannot connect'); },
+                reconnect: { initialDelay: 1, maxAttempts: 1 }
+            });
+
+            var errorEmitted = false;
+            c.on('error', function(err) {
+                err.message.should.equal('cannot connect');
+                errorEmitted = true;
+            });
+
+            c.on('connect', function() {
+                c.getTime()
+                    .then(function() {
+                        done(new Error('should not resolve'));
+                    })
+                    .catch(function(err) {
+                        err.message.should.equal('cannot connect');
+                        errorEmitted.should.be.true;
+
+                        (function() {
+                            c.getTime();
+                        }).should.throw(errors.ClientError);
+
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+    });
+
+    describe('request queue', function() {
+        var time = '10 20 12 18 9 114 6 291 1';
+
+        it('should limit requests in flight', function(done) {
+            var c = new Client(new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: ['=0 ' + time + '\n'] },
+                { expect: '1 35\n',
+                  send: ['=1 ' + time + '\n'] },
+                { expect: '2 35\n',
+                  send: ['=2 ' + time + '\n'] }
+            ), { maxInFlight: 2 });
+
+            c.on('connect', function() {
+                var requests = [c.getTime(), c.getTime(), c.getTime()];
+
+                c.inFlight.should.equal(2);
+                c.queueDepth.should.equal(1);
+
+                Promise.all(requests)
+                    .then(function(res) {
+                        res.should.have.length(3);
+                        c.inFlight.should.equal(0);
+                        c.queueDepth.should.equal(0);
+                        c.close();
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should reject invalid maxInFlight values', function() {
+            [0, -1, 'many'].forEach(function(maxInFlight) {
+                (function() {
+                    new Client(new ExpectSocket(), { maxInFlight: maxInFlight });
+                }).should.throw(errors.ClientError);
+            });
+        });
+
+        it('should wait for drain when the socket is full', function(done) {
+            var socket = new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: ['=0 ' + time + '\n'] },
+                { expect: '1 35\n',
+                  send: ['=1 ' + time + '\n'] }
+            );
+
+            var c = new Client(socket);
+
+            c.on('connect', function() {
+                socket.writeResult = false;
+                var first = c.getTime();
+                socket.writeResult = true;
+                var second = c.getTime();
+
+                c.inFlight.should.equal(1);
+                c.queueDepth.should.equal(1);
+
+                first
+                    .then(function() {
+                        // Still waiting for drain
+                        c.queueDepth.should.equal(1);
+                        socket.emit('drain');
+                        c.queueDepth.should.equal(0);
+                        return second;
+                    })
+                    .then(function() {
+                        c.close();
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+    });
+
+    describe('close', function() {
+        var time = '10 20 12 18 9 114 6 291 1';
+
+        it('should send queued requests and logout before closing', function(done) {
+            var c = new Client(new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: ['=0 ' + time + '\n'] },
+                { expect: '1 35\n',
+                  send: ['=1 ' + time + '\n'] },
+                { expect: '2 1\n',
+                  send: ['=2\n'] }
+            ), { maxInFlight: 1 });
+
+            c.on('connect', function() {
+                var requests = [c.getTime(), c.getTime()];
+                var closed = c.close({ logout: true });
+
+                (function() {
+                    c.getTime();
+                }).should.throw(errors.ClientError);
+
+                closed
+                    .then(function() {
+                        requests[0].isFulfilled().should.be.true;
+                        requests[1].isFulfilled().should.be.true;
+                        c.inFlight.should.equal(0);
+                        c.queueDepth.should.equal(0);
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should discard responses arriving after the close timeout', function(done) {
+            var socket = new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: [] }
+            );
+
+            // The response arrives before the server closes the connection
+            socket.end = function() {
+                this.emit('data', new Buffer('=0 ' + time + '\n', 'ascii'));
+                ExpectSocket.prototype.end.call(this);
+            };
+
+            var c = new Client(socket);
+            var errorEmitted = null;
+
+            c.on('error', function(err) {
+                errorEmitted = err;
+            });
+
+            c.on('connect', function() {
+                var request = c.getTime().reflect();
+
+                c.close({ timeout: 10 })
+                    .then(function() {
+                        should.not.exist(errorEmitted);
+                        return request;
+                    })
+                    .then(function(res) {
+                        res.reason().should.be.instanceof(errors.ClientError);
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should close while connecting', function(done) {
+            var socket = new ExpectSocket();
+            var c = new Client(socket);
+            var closeEmitted = false;
+
+            c.on('close', function() {
+                closeEmitted = true;
+            });
+
+            c.close()
+                .then(function() {
+                    closeEmitted.should.be.true;
+
+                    (function() {
+                        c.getTime();
+                    }).should.throw(errors.ClientError);
+
+                    // The socket must not get the handshake when it connects
+                    socket.emit('connect');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject remaining requests on timeout', function(done) {
+            var c = new Client(new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: [] }
+            ));
+
+            c.on('connect', function() {
+                var rejected = false;
+
+                c.getTime()
+                    .then(function() {
+                        done(new Error('should not resolve'));
+                    })
+                    .catch(errors.ClientError, function() {
+                        rejected = true;
+                    });
+
+                c.close({ timeout: 10 }, function(err) {
+                    should.not.exist(err);
+                    rejected.should.be.true;
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('request timeouts and aborts', function() {
+        var time = '10 20 12 18 9 114 6 291 1';
+
+        it('should time out and discard the late response', function(done) {
+            var socket = new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: [] },
+                { expect: '1 35\n',
+                  send: ['=0 ' + time + '\n', '=1 ' + time + '\n'] }
+            );
+
+            var c = new Client(socket);
+
+            c.on('connect', function() {
+                c.getTime({}, { timeout: 10 })
+                    .then(function() {
+                        done(new Error('should not resolve'));
+                    })
+                    .catch(errors.TimeoutError, function() {
+                        // Still waiting for the response
+                        c.inFlight.should.equal(1);
+                        return c.getTime();
+                    })
+                    .then(function(res) {
+                        res.year.should.equal(114);
+                        c.close();
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should keep timed out requests in flight until the response', function(done) {
+            var socket = new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: [] },
+                { expect: '1 35\n',
+                  send: ['=1 ' + time + '\n'] }
+            );
+
+            var c = new Client(socket, { maxInFlight: 1 });
+
+            c.on('connect', function() {
+                c.getTime({}, { timeout: 10 })
+                    .then(function() {
+                        done(new Error('should not resolve'));
+                    })
+                    .catch(errors.TimeoutError, function() {
+                        var second = c.getTime();
+
+                        c.inFlight.should.equal(1);
+                        c.queueDepth.should.equal(1);
+
+                        socket.emit('data', new Buffer('=0 ' + time + '\n', 'ascii'));
+                        c.queueDepth.should.equal(0);
+
+                        return second;
+                    })
+                    .then(function(res) {
+                        res.year.should.equal(114);
+                        c.close();
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should not retry a timed out request when reconnecting', function(done) {
+            var socket = new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: [] }
+            );
+
+            var c = new Client(socket, {
+                createSocket: function() {
+                    return new ExpectSocket(
+                        { expect: 'A11Htest%foobar\n',
+                          send: ['LysKOM\n'] },
+                        { expect: '1 35\n',
+                          send: ['=1 ' + time + '\n'] });
+                },
+                reconnect: { initialDelay: 1 },
+                maxInFlight: 1
+            });
+
+            c.on('connect', function() {
+                c.getTime({}, { timeout: 20 })
+                    .then(function() {
+                        done(new Error('should not resolve'));
+                    })
+                    .catch(errors.TimeoutError, function() {
+                        var reconnected = new Promise(function(resolve) {
+                            c.once('reconnected', resolve);
+                        });
+
+                        // Lose the connection halfway through the late response
+                        socket.emit('data', new Buffer('=0 10 20 ', 'ascii'));
+                        socket.emit('close');
+
+                        return reconnected;
+                    })
+                    .then(function() {
+                        c.inFlight.should.equal(0);
+                        return c.getTime();
+                    })
+                    .then(function(res) {
+                        res.year.should.equal(114);
+                        c.close();
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should abort queued requests without sending them', function(done) {
+            var c = new Client(new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] },
+                { expect: '0 35\n',
+                  send: ['=0 ' + time + '\n'] }
+            ), { maxInFlight: 1 });
+
+            c.on('connect', function() {
+                var signal = new FakeSignal();
+                var first = c.getTime();
+
+                c.getTime({}, { signal: signal }, function(err) {
+                    err.should.be.instanceof(errors.AbortError);
+                    c.queueDepth.should.equal(0);
+
+                    first
+                        .then(function() {
+                            c.close();
+                            done();
+                        })
+                        .catch(done);
+                });
+
+                c.queueDepth.should.equal(1);
+                signal.abort();
+            });
+        });
+
+        it('should not send requests with an aborted signal', function(done) {
+            var c = new Client(new ExpectSocket(
+                { expect: 'A11Htest%foobar\n',
+                  send: ['LysKOM\n'] }
+            ));
+
+            c.on('connect', function() {
+                var signal = new FakeSignal();
+                signal.abort();
+
+                c.getTime({}, { signal: signal })
+                    .then(function() {
+                        done(new Error('should not resolve'));
+                    })
+                    .catch(errors.AbortError, function() {
+                        c.inFlight.should.equal(0);
+                        c.close();
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+    });
 });
@@ -0,0 +1,136 @@
+/* LysKOM protocol A connect() unit tests
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+/* global describe, it, beforeEach, afterEach */
+
+var os = require('os');
+var fs = require('fs');
+var net = require('net');
+var path = require('path');
+var should = require('should'); // jshint ignore:line
+
+var lyskom = require('../index');
+
+
+// Dummy server, which answers the handshake and then does nothing.
+// The received handshake lines are collected in server.handshakes.
+
+var createServer = function() {
+    var server = net.createServer(function(socket) {
+        var data = '';
+
+        socket.on('data', function(d) {
+            data += d.toString('latin1');
+
+            var end = data.indexOf('\n');
+            if (end >= 0) {
+                server.handshakes.push(data.slice(0, end));
+                socket.write('LysKOM\n');
+            }
+        });
+    });
+
+    server.handshakes = [];
+    return server;
+};
+
+
+describe('connect', function() {
+    this.timeout(2000);
+
+    var server;
+
+    beforeEach(function() {
+        server = createServer();
+    });
+
+    afterEach(function(done) {
+        server.close(function() {
+            done();
+        });
+    });
+
+    it('should connect to a Unix socket', function(done) {
+        var socketPath = path.join(os.tmpdir(), 'lyskom-test-' + process.pid + '.sock');
+        if (fs.existsSync(socketPath)) {
+            fs.unlinkSync(socketPath);
+        }
+
+        server.listen(socketPath, function() {
+            lyskom.connectAndWait({ path: socketPath })
+                .then(function(client) {
+                    server.handshakes.should.have.length(1);
+                    server.handshakes[0].should.endWith('%' + os.hostname());
+                    return client.close();
+                })
+                .then(function() {
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    it('should use a stream factory', function(done) {
+        var created = 0;
+
+        server.listen(0, 'localhost', function() {
+            var port = server.address().port;
+
+            lyskom.connectAndWait({
+                createSocket: function() {
+                    created++;
+                    return net.connect({ host: 'localhost', port: port });
+                }
+            })
+                .then(function(client) {
+                    created.should.equal(1);
+                    server.handshakes.should.have.length(1);
+                    return client.close();
+                })
+                .then(function() {
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    it('should connect with TLS', function(done) {
+        var firstByte = null;
+
+        // Check that a TLS handshake record arrives, then drop the
+        // connection since this server doesn't speak TLS
+        server = net.createServer(function(socket) {
+            socket.once('data', function(data) {
+                firstByte = data[0];
+                socket.destroy();
+            });
+        });
+
+        server.listen(0, 'localhost', function() {
+            var port = server.address().port;
+
+            lyskom.connectAndWait({ host: 'localhost', port: port, tls: { rejectUnauthorized: true } })
+                .then(function() {
+                    done(new Error('should not connect'));
+                })
+                .catch(function(err) {
+                    err.should.be.instanceof(Error);
+                    firstByte.should.equal(0x16);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    it('should reject a createSocket that is not a function', function() {
+        (function() {
+            lyskom.connect({ createSocket: 'foo' });
+        }).should.throw(lyskom.ClientError);
+    });
+});
@@ -0,0 +1,180 @@
+/* LysKOM protocol A marks unit tests
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+// silence errors about "foo.should.be.true;"
+/* jshint -W030 */
+
+// silence errors about wrapping functions in parens
+/* jshint -W068 */
+
+/* global describe, it */
+
+var should = require('should'); // jshint ignore:line
+var Promise = require('bluebird');
+
+var errors = require('../lib/errors');
+var Marks = require('../lib/marks');
+
+
+// Dummy client with some marks, where text 102 has been garbage collected
+
+var DummyClient = function() {
+    this.marks = [
+        { textNo: 101, type: 100 },
+        { textNo: 102, type: 100 },
+        { textNo: 103, type: 1 },
+        { textNo: 99, type: 100 }
+    ];
+    this.requests = [];
+};
+
+DummyClient.prototype.getMarks = function() {
+    return Promise.resolve(this.marks);
+};
+
+DummyClient.prototype.markText = function(params) {
+    this.requests.push(['markText', params]);
+    return Promise.resolve();
+};
+
+DummyClient.prototype.unmarkText = function(params) {
+    this.requests.push(['unmarkText', params]);
+    return Promise.resolve();
+};
+
+DummyClient.prototype.getTextStat = function(params) {
+    if (params.textNo === 102) {
+        return Promise.reject(new errors.NoSuchTextError({
+            errorCode: 14, errorName: 'no-such-text', errorStatus: params.textNo
+        }));
+    }
+
+    if (params.textNo === 666) {
+        return Promise.reject(new errors.RequestError({
+            errorCode: 11, errorName: 'permission-denied', errorStatus: 0
+        }));
+    }
+
+    return Promise.resolve({ author: params.textNo * 10 });
+};
+
+
+describe('Marks', function() {
+    it('should group marks by type', function(done) {
+        new Marks(new DummyClient(), { names: { 100: 'todo' } }).load()
+            .then(function(marks) {
+                marks.groups().should.eql([
+                    { type: 1, name: null, texts: [103] },
+                    { type: 100, name: 'todo', texts: [99, 101, 102] }
+                ]);
+
+                marks.getTexts().should.eql([99, 101, 102, 103]);
+                marks.getTexts('todo').should.eql([99, 101, 102]);
+                marks.getTexts(1).should.eql([103]);
+                marks.getMarkType(103).should.equal(1);
+                should(marks.getMarkType(104)).be.null;
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should name mark types', function() {
+        var marks = new Marks(new DummyClient());
+
+        marks.nameType(1, 'later').nameType(2, 'done');
+        marks.getTypeName(1).should.equal('later');
+        should(marks.getTypeName(3)).be.null;
+
+        // Renaming drops the old name
+        marks.nameType(1, 'soon');
+        marks.getTexts('soon').should.eql([]);
+        (function() { marks.getTexts('later'); }).should.throw(errors.ClientError);
+
+        (function() { marks.nameType(3, 'done'); }).should.throw(errors.ClientError);
+        (function() { marks.nameType(256, 'foo'); }).should.throw(errors.ClientError);
+    });
+
+    it('should mark and unmark texts', function(done) {
+        var client = new DummyClient();
+        var marks = new Marks(client, { names: { 100: 'todo' } });
+
+        marks.load()
+            .then(function() {
+                return marks.mark(103, 'todo');
+            })
+            .then(function() {
+                return marks.unmark(99);
+            })
+            .then(function() {
+                client.requests.should.eql([
+                    ['markText', { text: 103, markType: 100 }],
+                    ['unmarkText', { textNo: 99 }]
+                ]);
+
+                marks.getTexts('todo').should.eql([101, 102, 103]);
+                return marks.mark(104, 'unknown');
+            })
+            .then(function() {
+                done('should not accept unknown mark type names');
+            })
+            .catch(errors.ClientError, function() {
+                client.requests.should.have.length(2);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should iterate over Text-Stats, reporting missing texts', function(done) {
+        var marks = new Marks(new DummyClient(), { names: { 100: 'todo' } });
+        var result = [];
+
+        marks.load()
+            .then(function() {
+                return marks.textStats('todo').forEach(function(mark) {
+                    result.push(mark);
+                });
+            })
+            .then(function() {
+                result.should.have.length(3);
+
+                result[0].textNo.should.equal(99);
+                result[0].type.should.equal(100);
+                result[0].name.should.equal('todo');
+                result[0].textStat.author.should.equal(990);
+                should(result[0].error).be.null;
+
+                result[1].textNo.should.equal(101);
+
+                result[2].textNo.should.equal(102);
+                should(result[2].textStat).be.null;
+                result[2].error.should.be.instanceof(errors.NoSuchTextError);
+
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should reject iteration on other errors', function(done) {
+        var client = new DummyClient();
+        client.marks = [{ textNo: 666, type: 1 }];
+
+        new Marks(client).load()
+            .then(function(marks) {
+                return marks.textStats().next();
+            })
+            .then(function() {
+                done('should not resolve on error');
+            })
+            .catch(errors.RequestError, function(err) {
+                err.errorName.should.equal('permission-denied');
+                done();
+            })
+            .catch(done);
+    });
+});
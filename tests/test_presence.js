@@ -0,0 +1,189 @@
+/* LysKOM protocol A presence unit tests
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+/* global describe, it */
+
+var util = require('util');
+var events = require('events');
+var should = require('should'); // jshint ignore:line
+var Promise = require('bluebird');
+
+var Presence = require('../lib/presence');
+
+
+// Dummy client with two sessions logged in
+
+var DummyClient = function() {
+    events.EventEmitter.call(this);
+    this.requests = [];
+};
+
+util.inherits(DummyClient, events.EventEmitter);
+
+DummyClient.prototype.whoIsOnDynamic = function(params) {
+    this.requests.push(params);
+
+    return Promise.resolve([
+        { session: 17, person: 6, workingConference: 1, idleTime: 30,
+          flags: {}, whatAmIDoing: new Buffer('reading') },
+        { session: 3, person: 7, workingConference: 0, idleTime: 600,
+          flags: {}, whatAmIDoing: new Buffer('') }
+    ]);
+};
+
+
+describe('Presence', function() {
+    it('should load initial sessions', function(done) {
+        var client = new DummyClient();
+
+        new Presence(client, { activeLast: 3600 }).load()
+            .then(function(presence) {
+                client.requests.should.eql([
+                    { wantVisible: true, wantInvisible: false, activeLast: 3600 }
+                ]);
+
+                presence.getSessions().map(function(s) { return s.session; })
+                    .should.eql([3, 17]);
+
+                presence.getSession(17).person.should.equal(6);
+                should(presence.getSession(18)).equal(null);
+                presence.getPersonSessions(7).should.have.length(1);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should track login, logout and activity', function(done) {
+        var client = new DummyClient();
+        var presence = new Presence(client);
+        var seen = [];
+
+        presence.on('join', function(s) { seen.push(['join', s.session, s.person]); });
+        presence.on('leave', function(s) { seen.push(['leave', s.session, s.person]); });
+        presence.on('activity', function(s) {
+            seen.push(['activity', s.session, s.workingConference]);
+        });
+
+        presence.load()
+            .then(function() {
+                client.emit('login', { persNo: 8, sessionNo: 20 });
+                client.emit('i-am-on', { info: {
+                    person: 8, workingConference: 4, session: 20,
+                    whatAmIDoing: new Buffer('writing'), username: new Buffer('foo')
+                } });
+                client.emit('logout', { persNo: 6, sessionNo: 17 });
+
+                // Unknown sessions may be invisible, so they are ignored
+                client.emit('i-am-on', { info: {
+                    person: 9, workingConference: 5, session: 21,
+                    whatAmIDoing: new Buffer(''), username: new Buffer('bar')
+                } });
+
+                // Unknown sessions logging out are ignored
+                client.emit('logout', { persNo: 6, sessionNo: 99 });
+
+                seen.should.eql([
+                    ['join', 20, 8],
+                    ['activity', 20, 4],
+                    ['leave', 17, 6]
+                ]);
+
+                presence.getSessions().map(function(s) { return s.session; })
+                    .should.eql([3, 20]);
+                presence.getSession(20).whatAmIDoing.toString().should.equal('writing');
+
+                presence.close();
+                client.emit('logout', { persNo: 8, sessionNo: 20 });
+                seen.should.have.length(3);
+
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should add unknown active sessions when including invisible', function(done) {
+        var client = new DummyClient();
+        var presence = new Presence(client, { wantInvisible: true });
+        var joined = [];
+
+        presence.on('join', function(s) { joined.push(s.session); });
+
+        presence.load()
+            .then(function() {
+                client.requests[0].wantInvisible.should.equal(true);
+
+                client.emit('i-am-on', { info: {
+                    person: 9, workingConference: 5, session: 21,
+                    whatAmIDoing: new Buffer(''), username: new Buffer('bar')
+                } });
+
+                joined.should.eql([21]);
+                presence.getSession(21).workingConference.should.equal(5);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should apply async messages that arrive while loading', function(done) {
+        var client = new DummyClient();
+        var whoIsOnDynamic = client.whoIsOnDynamic;
+        var pending = false;
+
+        client.whoIsOnDynamic = function(params) {
+            pending = true;
+            return whoIsOnDynamic.call(this, params)
+                .delay(5)
+                .finally(function() {
+                    pending = false;
+                });
+        };
+
+        var presence = new Presence(client);
+        var loaded = presence.load();
+
+        setTimeout(function() {
+            pending.should.equal(true);
+
+            // The list is made before 17 logs out
+            client.emit('logout', { persNo: 6, sessionNo: 17 });
+            client.emit('login', { persNo: 8, sessionNo: 20 });
+
+            loaded
+                .then(function() {
+                    presence.getSessions().map(function(s) { return s.session; })
+                        .should.eql([3, 20]);
+                    done();
+                })
+                .catch(done);
+        }, 0);
+    });
+
+    it('should only listen once when reloaded', function(done) {
+        var client = new DummyClient();
+        var presence = new Presence(client);
+        var joined = 0;
+
+        presence.on('join', function() { joined++; });
+
+        presence.load()
+            .then(function() {
+                return presence.load();
+            })
+            .then(function() {
+                client.listeners('login').should.have.length(1);
+                client.listeners('logout').should.have.length(1);
+                client.listeners('i-am-on').should.have.length(1);
+
+                client.emit('login', { persNo: 8, sessionNo: 20 });
+                joined.should.equal(1);
+                done();
+            })
+            .catch(done);
+    });
+});
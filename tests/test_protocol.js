@@ -22,6 +22,7 @@ var iconv = require('iconv-lite');
 
 var errors = require('../lib/errors');
 var protocol = require('../lib/protocol');
+var auxItems = require('../lib/auxitems');
 var TokenStream = require('../lib/tokenstream');
 
 
@@ -115,6 +116,221 @@ describe('protocol', function() {
     });
 
 
+    it('should format createText request', function() {
+        // Exercises selections
+
+        var buf = protocol.rpc.createText.formatRequest(14, {
+            text: 'subject\nbody',
+            miscInfo: [
+                { recpt: 4711 },
+                { ccRecpt: 4712 },
+                { bccRecpt: 4713 },
+                { commTo: 100 },
+                { footnTo: 101 }],
+            auxItems: [
+                { tag: 1, flags: {}, inheritLimit: 0, data: 'text/plain' }]
+        });
+        var str = buf.toString('ascii');
+
+        str.should.equal('14 86 12Hsubject\nbody 5 { ' +
+                         '0 4711 1 4712 15 4713 2 100 4 101 } 1 { ' +
+                         '1 00000000 0 10Htext/plain }\n');
+    });
+
+
+    it('should not format read-only or ambiguous misc-info', function() {
+        (function() {
+            protocol.rpc.createText.formatRequest(15, {
+                text: 'foo', miscInfo: [{ locNo: 10 }], auxItems: []
+            });
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            protocol.rpc.createText.formatRequest(15, {
+                text: 'foo', miscInfo: [{ recpt: 1, ccRecpt: 2 }], auxItems: []
+            });
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            protocol.rpc.createText.formatRequest(15, {
+                text: 'foo', miscInfo: [{ foo: 1 }], auxItems: []
+            });
+        }).should.throw(errors.ClientError);
+    });
+
+
+    it('should format setPrivBits request', function() {
+        var buf = protocol.rpc.setPrivBits.formatRequest(16, {
+            person: 4711,
+            privileges: { wheel: true, createConf: true, changeName: true }
+        });
+        var str = buf.toString('ascii');
+
+        str.should.equal('16 7 4711 1000110000000000\n');
+    });
+
+
+    it('should format setPersFlags request', function() {
+        var buf = protocol.rpc.setPersFlags.formatRequest(17, {
+            persNo: 4711,
+            flags: { unreadIsSecret: true }
+        });
+        var str = buf.toString('ascii');
+
+        str.should.equal('17 106 4711 10000000\n');
+    });
+
+
+    it('should format setReadRanges request', function() {
+        var buf = protocol.rpc.setReadRanges.formatRequest(18, {
+            conference: 4711,
+            readRanges: [ { firstRead: 1, lastRead: 10 },
+                          { firstRead: 12, lastRead: 12 } ]
+        });
+        var str = buf.toString('ascii');
+
+        str.should.equal('18 110 4711 2 { 1 10 12 12 }\n');
+    });
+
+
+    it('should format markAsRead request', function() {
+        var buf = protocol.rpc.markAsRead.formatRequest(19, {
+            conference: 4711,
+            text: [ 13, 15 ]
+        });
+        var str = buf.toString('ascii');
+
+        str.should.equal('19 27 4711 2 { 13 15 }\n');
+    });
+
+
+    it('should format whoIsOnDynamic and getClientName requests', function() {
+        protocol.rpc.whoIsOnDynamic.formatRequest(22, {
+            wantVisible: true, wantInvisible: false, activeLast: 600
+        }).toString('ascii').should.equal('22 83 1 0 600\n');
+
+        protocol.rpc.getClientName.formatRequest(23, { session: 17 })
+            .toString('ascii').should.equal('23 70 17\n');
+    });
+
+    it('should format markText and unmarkText requests', function() {
+        protocol.rpc.markText.formatRequest(20, { text: 4711, markType: 100 })
+            .toString('ascii').should.equal('20 72 4711 100\n');
+
+        protocol.rpc.unmarkText.formatRequest(21, { textNo: 4711 })
+            .toString('ascii').should.equal('21 73 4711\n');
+    });
+
+
+    it('should format createConf request with short or extended type', function() {
+        var buf = protocol.rpc.createConf.formatRequest(20, {
+            name: 'foo',
+            type: { original: true, secret: true },
+            auxItems: []
+        });
+        buf.toString('ascii').should.equal('20 88 3Hfoo 0110 0 { }\n');
+
+        buf = protocol.rpc.createConf.formatRequest(21, {
+            name: 'foo',
+            type: { rdProt: true, allowAnonymous: false, forbidSecret: true },
+            auxItems: []
+        });
+        buf.toString('ascii').should.equal('21 88 3Hfoo 10000100 0 { }\n');
+    });
+
+
+    it('should format conference administration requests', function() {
+        var format = function(name, params) {
+            return protocol.rpc[name].formatRequest(22, params).toString('ascii');
+        };
+
+        format('deleteConf', { conf: 4711 })
+            .should.equal('22 11 4711\n');
+
+        format('changeName', { conference: 4711, newName: 'bar' })
+            .should.equal('22 3 4711 3Hbar\n');
+
+        format('setConfType', { confNo: 4711, type: { letterbox: true } })
+            .should.equal('22 21 4711 0001\n');
+
+        format('setConfType', { confNo: 4711, type: { allowAnonymous: true } })
+            .should.equal('22 21 4711 00001000\n');
+
+        format('setSupervisor', { confNo: 4711, admin: 6 })
+            .should.equal('22 18 4711 6\n');
+
+        format('setSuperConf', { confNo: 4711, superConf: 7 })
+            .should.equal('22 20 4711 7\n');
+
+        format('setPermittedSubmitters', { confNo: 4711, permSub: 0 })
+            .should.equal('22 19 4711 0\n');
+
+        format('setGarbNice', { confNo: 4711, nice: 77 })
+            .should.equal('22 22 4711 77\n');
+
+        format('setKeepCommented', { confNo: 4711, keepCommented: 88 })
+            .should.equal('22 105 4711 88\n');
+
+        format('setPresentation', { confNo: 4711, textNo: 100 })
+            .should.equal('22 16 4711 100\n');
+
+        format('setEtcMotd', { confNo: 4711, textNo: 101 })
+            .should.equal('22 17 4711 101\n');
+    });
+
+
+    it('should format member management requests', function() {
+        var format = function(name, params) {
+            return protocol.rpc[name].formatRequest(23, params).toString('ascii');
+        };
+
+        format('addMember', { confNo: 4711, persNo: 6, priority: 100, where: 2,
+                              type: { passive: true } })
+            .should.equal('23 100 4711 6 100 2 01000000\n');
+
+        format('subMember', { confNo: 4711, persNo: 6 })
+            .should.equal('23 15 4711 6\n');
+
+        format('setMembershipType', { pers: 6, conf: 4711, type: { secret: true } })
+            .should.equal('23 102 6 4711 00100000\n');
+
+        format('getMembers', { conf: 4711, first: 0, noOfMembers: 100 })
+            .should.equal('23 101 4711 0 100\n');
+    });
+
+
+    it('should format text graph requests', function() {
+        var format = function(name, params) {
+            return protocol.rpc[name].formatRequest(24, params).toString('ascii');
+        };
+
+        format('addComment', { textNo: 100, commentTo: 99 })
+            .should.equal('24 32 100 99\n');
+
+        format('subComment', { textNo: 100, commentTo: 99 })
+            .should.equal('24 33 100 99\n');
+
+        format('addFootnote', { textNo: 100, footnoteTo: 98 })
+            .should.equal('24 37 100 98\n');
+
+        format('subFootnote', { textNo: 100, footnoteTo: 98 })
+            .should.equal('24 38 100 98\n');
+
+        format('addRecipient', { textNo: 100, confNo: 4711, recptType: 'ccRecpt' })
+            .should.equal('24 30 100 4711 1\n');
+
+        format('addRecipient', { textNo: 100, confNo: 4711, recptType: 'bccRecpt' })
+            .should.equal('24 30 100 4711 15\n');
+
+        format('subRecipient', { textNo: 100, confNo: 4711 })
+            .should.equal('24 31 100 4711\n');
+
+        (function() {
+            format('addRecipient', { textNo: 100, confNo: 4711, recptType: 'foo' });
+        }).should.throw(errors.ClientError);
+    });
+
+
     it('should parse login response', function(done) {
         // The =refNo has already been handled by the Client object
 
@@ -161,6 +377,325 @@ describe('protocol', function() {
         });
     });
 
+    it('should parse getTextStat response', function(done) {
+        // Exercises selections and nested structures
+
+        parseTokens(new DummyDataStream(
+            '10 20 12 18 9 114 6 291 1 4711 3 42 4 ' +
+                '5 { 0 6 6 1 7 20 20 12 18 9 114 6 291 1 2 100 3 102 } ' +
+                '1 { 17 1 4711 10 20 12 18 9 114 6 291 1 01000000 0 10Htext/plain }\n'),
+                    function(tokens) {
+            var parser = protocol.rpc.getTextStat.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+
+            msg.creationTime.year.should.equal(114);
+            msg.creationTime.isDST.should.be.true;
+            msg.author.should.equal(4711);
+            msg.noOfLines.should.equal(3);
+            msg.noOfChars.should.equal(42);
+            msg.noOfMarks.should.equal(4);
+
+            msg.miscInfo.should.have.length(5);
+            msg.miscInfo[0].should.eql({ recpt: 6 });
+            msg.miscInfo[1].should.eql({ locNo: 1 });
+            msg.miscInfo[2].recTime.hours.should.equal(12);
+            msg.miscInfo[3].should.eql({ commTo: 100 });
+            msg.miscInfo[4].should.eql({ commIn: 102 });
+
+            msg.auxItems.should.have.length(1);
+            msg.auxItems[0].auxNo.should.equal(17);
+            msg.auxItems[0].tag.should.equal(1);
+            msg.auxItems[0].creator.should.equal(4711);
+            msg.auxItems[0].createdAt.minutes.should.equal(20);
+            msg.auxItems[0].flags.inherit.should.be.true;
+            msg.auxItems[0].flags.secret.should.be.false;
+            msg.auxItems[0].inheritLimit.should.equal(0);
+            msg.auxItems[0].data.toString().should.equal('text/plain');
+
+            msg.aux.should.eql({ contentType: { type: 'text/plain', params: {} } });
+
+            done();
+        });
+    });
+
+    it('should parse getTextStat with undecodable aux items', function(done) {
+        auxItems.register(20001, 'testJson', {
+            decode: function(data) { return JSON.parse(data.toString()); },
+            encode: function(value) { return JSON.stringify(value); }
+        });
+
+        parseTokens(new DummyDataStream(
+            '10 20 12 18 9 114 6 291 1 4711 3 42 4 ' +
+                '0 * ' +
+                '1 { 17 20001 4711 10 20 12 18 9 114 6 291 1 00000000 0 3H{x} }\n'),
+                    function(tokens) {
+            var parser = protocol.rpc.getTextStat.getResponseParser();
+
+            try {
+                parser.parseTokens(tokens).should.have.length(0);
+                parser.getMessage().aux.should.eql({ testJson: '{x}' });
+            }
+            finally {
+                auxItems.unregister(20001);
+            }
+
+            done();
+        });
+    });
+
+    it('should parse getMarks response', function(done) {
+        parseTokens(new DummyDataStream('2 { 4711 100 4712 255 }\n'), function(tokens) {
+            var parser = protocol.rpc.getMarks.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.should.eql([ { textNo: 4711, type: 100 },
+                             { textNo: 4712, type: 255 } ]);
+
+            done();
+        });
+    });
+
+    it('should parse whoIsOnDynamic response', function(done) {
+        parseTokens(new DummyDataStream(
+            '2 { 17 4711 6 30 10000000 7Hreading ' +
+                '18 0 0 1200 01000000 0H }\n'), function(tokens) {
+            var parser = protocol.rpc.whoIsOnDynamic.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.should.have.length(2);
+
+            msg[0].session.should.equal(17);
+            msg[0].person.should.equal(4711);
+            msg[0].workingConference.should.equal(6);
+            msg[0].idleTime.should.equal(30);
+            msg[0].flags.invisible.should.be.true;
+            msg[0].flags.userActiveUsed.should.be.false;
+            msg[0].whatAmIDoing.toString().should.equal('reading');
+
+            msg[1].session.should.equal(18);
+            msg[1].flags.userActiveUsed.should.be.true;
+            msg[1].whatAmIDoing.toString().should.equal('');
+
+            done();
+        });
+    });
+
+    it('should parse getStaticSessionInfo response', function(done) {
+        parseTokens(new DummyDataStream(
+            '3Hfoo 9Hlocalhost 0H 10 20 12 18 9 114 6 291 1\n'), function(tokens) {
+            var parser = protocol.rpc.getStaticSessionInfo.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.username.toString().should.equal('foo');
+            msg.hostname.toString().should.equal('localhost');
+            msg.identUser.toString().should.equal('');
+            msg.connectionTime.minutes.should.equal(20);
+
+            done();
+        });
+    });
+
+    it('should parse getConfStat response', function(done) {
+        parseTokens(new DummyDataStream(
+            '3Hfoo 00001000 ' +
+                '10 20 12 18 9 114 6 291 1 ' +
+                '11 21 13 19 10 114 0 322 0 ' +
+                '4711 100 4712 4713 4714 101 77 88 5 1000 42 0 ' +
+                '1 { 3 28 4711 10 20 12 18 9 114 6 291 1 00000000 0 3H200 }\n'),
+                    function(tokens) {
+            var parser = protocol.rpc.getConfStat.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+
+            msg.name.toString().should.equal('foo');
+            msg.type.allowAnonymous.should.be.true;
+            msg.type.letterbox.should.be.false;
+            msg.creationTime.minutes.should.equal(20);
+            msg.lastWritten.minutes.should.equal(21);
+            msg.creator.should.equal(4711);
+            msg.presentation.should.equal(100);
+            msg.supervisor.should.equal(4712);
+            msg.permittedSubmitters.should.equal(4713);
+            msg.superConf.should.equal(4714);
+            msg.msgOfDay.should.equal(101);
+            msg.nice.should.equal(77);
+            msg.keepCommented.should.equal(88);
+            msg.noOfMembers.should.equal(5);
+            msg.firstLocalNo.should.equal(1000);
+            msg.noOfTexts.should.equal(42);
+            msg.expire.should.equal(0);
+
+            msg.auxItems.should.have.length(1);
+            msg.auxItems[0].tag.should.equal(28);
+            msg.auxItems[0].data.toString().should.equal('200');
+
+            msg.aux.should.eql({ faqForConf: 200 });
+
+            done();
+        });
+    });
+
+    it('should parse getPersonStat response', function(done) {
+        parseTokens(new DummyDataStream(
+            '3Hfoo 0110100000000000 10000000 ' +
+                '10 20 12 18 9 114 6 291 1 ' +
+                '100 3600 12 400 20000 300 310 1 2 1 17 3 25\n'),
+                    function(tokens) {
+            var parser = protocol.rpc.getPersonStat.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+
+            msg.username.toString().should.equal('foo');
+            msg.privileges.wheel.should.be.false;
+            msg.privileges.admin.should.be.true;
+            msg.privileges.statistic.should.be.true;
+            msg.privileges.createPers.should.be.false;
+            msg.privileges.createConf.should.be.true;
+            msg.privileges.changeName.should.be.false;
+            msg.flags.unreadIsSecret.should.be.true;
+            msg.lastLogin.hours.should.equal(12);
+            msg.userArea.should.equal(100);
+            msg.totalTimePresent.should.equal(3600);
+            msg.sessions.should.equal(12);
+            msg.createdLines.should.equal(400);
+            msg.createdBytes.should.equal(20000);
+            msg.readTexts.should.equal(300);
+            msg.noOfTextFetches.should.equal(310);
+            msg.createdPersons.should.equal(1);
+            msg.createdConfs.should.equal(2);
+            msg.firstCreatedLocalNo.should.equal(1);
+            msg.noOfCreatedTexts.should.equal(17);
+            msg.noOfMarks.should.equal(3);
+            msg.noOfConfs.should.equal(25);
+
+            done();
+        });
+    });
+
+    it('should parse getMembership response', function(done) {
+        parseTokens(new DummyDataStream(
+            '2 { ' +
+                '0 10 20 12 18 9 114 6 291 1 4711 255 2 { 1 10 12 12 } ' +
+                '4712 11 21 13 19 10 114 0 322 0 01000000 ' +
+                '1 10 20 12 18 9 114 6 291 1 4713 100 0 * ' +
+                '4712 11 21 13 19 10 114 0 322 0 10100000 }\n'),
+                    function(tokens) {
+            var parser = protocol.rpc.getMembership.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.should.have.length(2);
+
+            msg[0].position.should.equal(0);
+            msg[0].lastTimeRead.minutes.should.equal(20);
+            msg[0].conference.should.equal(4711);
+            msg[0].priority.should.equal(255);
+            msg[0].readRanges.should.eql([ { firstRead: 1, lastRead: 10 },
+                                           { firstRead: 12, lastRead: 12 } ]);
+            msg[0].addedBy.should.equal(4712);
+            msg[0].addedAt.minutes.should.equal(21);
+            msg[0].type.invitation.should.be.false;
+            msg[0].type.passive.should.be.true;
+            msg[0].type.secret.should.be.false;
+            msg[0].type.passiveMessageInvert.should.be.false;
+
+            msg[1].position.should.equal(1);
+            msg[1].conference.should.equal(4713);
+            msg[1].readRanges.should.have.length(0);
+            msg[1].type.invitation.should.be.true;
+            msg[1].type.secret.should.be.true;
+
+            done();
+        });
+    });
+
+    it('should parse sparse localToGlobal response', function(done) {
+        parseTokens(new DummyDataStream('1 12 1 0 2 { 1 100 11 110 }\n'), function(tokens) {
+            var parser = protocol.rpc.localToGlobal.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+
+            msg.rangeBegin.should.equal(1);
+            msg.rangeEnd.should.equal(12);
+            msg.laterTextsExists.should.be.true;
+            msg.block.should.eql({ sparse: [ { localNumber: 1, globalNumber: 100 },
+                                             { localNumber: 11, globalNumber: 110 } ] });
+
+            done();
+        });
+    });
+
+    it('should parse dense localToGlobal response', function(done) {
+        parseTokens(new DummyDataStream('5 9 0 1 5 4 { 100 0 102 103 }\n'), function(tokens) {
+            var parser = protocol.rpc.localToGlobal.getResponseParser();
+
+            // Split parsing inside the selection
+            var remaining = parser.parseTokens(tokens.slice(0, 4));
+            should(remaining).equal(null);
+
+            remaining = parser.parseTokens(tokens.slice(4));
+            remaining.should.have.length(0);
+
+            var msg = parser.getMessage();
+
+            msg.rangeBegin.should.equal(5);
+            msg.rangeEnd.should.equal(9);
+            msg.laterTextsExists.should.be.false;
+            msg.block.should.eql({ dense: { firstLocalNo: 5, texts: [ 100, 0, 102, 103 ] } });
+
+            done();
+        });
+    });
+
+    it('should parse getMembers response', function(done) {
+        parseTokens(new DummyDataStream(
+            '1 { 6 4711 10 20 12 18 9 114 6 291 1 10000000 }\n'), function(tokens) {
+            var parser = protocol.rpc.getMembers.getResponseParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.should.have.length(1);
+            msg[0].member.should.equal(6);
+            msg[0].addedBy.should.equal(4711);
+            msg[0].addedAt.minutes.should.equal(20);
+            msg[0].type.invitation.should.be.true;
+            msg[0].type.passive.should.be.false;
+
+            done();
+        });
+    });
+
+    it('should fail on unknown misc-info selection', function(done) {
+        parseTokens(new DummyDataStream(
+            '10 20 12 18 9 114 6 291 1 4711 3 42 0 1 { 99 6 } 0 *\n'),
+                    function(tokens) {
+            var parser = protocol.rpc.getTextStat.getResponseParser();
+
+            (function() {
+                parser.parseTokens(tokens);
+            }).should.throw(errors.ProtocolError);
+
+            done();
+        });
+    });
+
     it('should parse lookupZName response', function(done) {
         // Exercises array parsing
 
@@ -307,5 +842,84 @@ describe('protocol', function() {
             done();
         });
     });
-});
 
+    it('should parse async new-text', function(done) {
+        parseTokens(new DummyDataStream(
+            '100 10 20 12 18 9 114 6 291 1 4711 1 6 0 2 { 0 6 6 17 } 0 *'), function(tokens) {
+            var parser = protocol.async[15].getMessageParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.textNo.should.equal(100);
+            msg.textStat.author.should.equal(4711);
+            msg.textStat.miscInfo.should.eql([ { recpt: 6 }, { locNo: 17 } ]);
+            msg.textStat.auxItems.should.have.length(0);
+
+            done();
+        });
+    });
+
+    it('should parse async new-recipient', function(done) {
+        parseTokens(new DummyDataStream('100 4711 15'), function(tokens) {
+            var parser = protocol.async[16].getMessageParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.should.eql({ textNo: 100, confNo: 4711, type: 'bccRecpt' });
+
+            done();
+        });
+    });
+
+    it('should fail on unknown info type', function(done) {
+        parseTokens(new DummyDataStream('100 4711 14'), function(tokens) {
+            var parser = protocol.async[17].getMessageParser();
+
+            (function() {
+                parser.parseTokens(tokens);
+            }).should.throw(errors.ProtocolError);
+
+            done();
+        });
+    });
+
+    it('should parse async text-aux-changed', function(done) {
+        parseTokens(new DummyDataStream(
+            '100 1 { 3 1 4711 10 20 12 18 9 114 6 291 1 10000000 0 10Htext/plain } ' +
+                '1 { 4 1 4711 11 20 12 18 9 114 6 291 1 00000000 0 9Htext/html }'), function(tokens) {
+            var parser = protocol.async[22].getMessageParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.textNo.should.equal(100);
+            msg.deleted.should.have.length(1);
+            msg.deleted[0].auxNo.should.equal(3);
+            msg.deleted[0].flags.deleted.should.be.true;
+            msg.added.should.have.length(1);
+            msg.added[0].auxNo.should.equal(4);
+            msg.added[0].data.toString().should.equal('text/html');
+
+            done();
+        });
+    });
+
+    it('should parse async i-am-on', function(done) {
+        parseTokens(new DummyDataStream('4711 6 17 7Hreading 8Hfoo@host'), function(tokens) {
+            var parser = protocol.async[6].getMessageParser();
+            var remaining = parser.parseTokens(tokens);
+            var msg = parser.getMessage();
+
+            remaining.should.have.length(0);
+            msg.info.person.should.equal(4711);
+            msg.info.workingConference.should.equal(6);
+            msg.info.session.should.equal(17);
+            msg.info.whatAmIDoing.toString().should.equal('reading');
+            msg.info.username.toString().should.equal('foo@host');
+
+            done();
+        });
+    });
+});
@@ -0,0 +1,303 @@
+/* LysKOM protocol A reading session unit tests
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+/* global describe, it */
+
+var util = require('util');
+var events = require('events');
+var should = require('should'); // jshint ignore:line
+var Promise = require('bluebird');
+
+var errors = require('../lib/errors');
+var ReadingSession = require('../lib/readingsession');
+var TextMappingIterator = require('../lib/textmapping');
+
+
+// Dummy client with just enough state to respond to the requests
+// done by ReadingSession
+
+var DummyClient = function(confs) {
+    this.confs = confs;
+    this.marked = [];
+};
+
+util.inherits(DummyClient, events.EventEmitter);
+
+DummyClient.prototype.getMembership = function(params) {
+    params.person.should.equal(4711);
+
+    if (params.first > 0 && params.first >= this.confs.length) {
+        return Promise.reject(new errors.RequestError({
+            errorCode: 19, errorName: 'index-out-of-range', errorStatus: params.first
+        }));
+    }
+
+    var confs = this.confs.slice(params.first, params.first + params.noOfConfs);
+    return Promise.resolve(confs.map(function(c) { return c.membership; }));
+};
+
+DummyClient.prototype.queryReadTexts = function(params) {
+    for (var i = 0; i < this.confs.length; i++) {
+        if (this.confs[i].membership.conference === params.conference) {
+            return Promise.resolve(this.confs[i].membership);
+        }
+    }
+
+    return Promise.reject(new Error('not a member'));
+};
+
+DummyClient.prototype.getUconfStat = function(params) {
+    var conf = this._getConf(params.conference);
+    return Promise.resolve({ highestLocalNo: conf.texts.length });
+};
+
+DummyClient.prototype.localToGlobal = function(params) {
+    var conf = this._getConf(params.confNo);
+    var first = params.firstLocalNo;
+    var end = Math.min(first + params.noOfExistingTexts, conf.texts.length + 1);
+
+    return Promise.resolve({
+        rangeBegin: first,
+        rangeEnd: end,
+        laterTextsExists: end <= conf.texts.length,
+        block: { dense: { firstLocalNo: first, texts: conf.texts.slice(first - 1, end - 1) } }
+    });
+};
+
+DummyClient.prototype.localToGlobalIterator = function(confNo, options) {
+    return new TextMappingIterator(this, confNo, options);
+};
+
+DummyClient.prototype.markAsRead = function(params) {
+    this.marked.push(params);
+    return Promise.resolve({});
+};
+
+DummyClient.prototype._getConf = function(confNo) {
+    for (var i = 0; i < this.confs.length; i++) {
+        if (this.confs[i].membership.conference === confNo) {
+            return this.confs[i];
+        }
+    }
+
+    throw new Error('unknown conf: ' + confNo);
+};
+
+
+var membership = function(confNo, priority, readRanges, type) {
+    return {
+        conference: confNo,
+        priority: priority,
+        readRanges: readRanges,
+        type: type || {}
+    };
+};
+
+
+describe('ReadingSession', function() {
+    this.timeout(100);
+
+    it('should add to read ranges', function() {
+        ReadingSession.addToReadRanges([], 5)
+            .should.eql([{ firstRead: 5, lastRead: 5 }]);
+
+        ReadingSession.addToReadRanges([{ firstRead: 1, lastRead: 4 },
+                                        { firstRead: 6, lastRead: 8 }], 5)
+            .should.eql([{ firstRead: 1, lastRead: 8 }]);
+
+        ReadingSession.addToReadRanges([{ firstRead: 1, lastRead: 3 }], 5)
+            .should.eql([{ firstRead: 1, lastRead: 3 },
+                         { firstRead: 5, lastRead: 5 }]);
+    });
+
+    it('should find recipient local numbers', function() {
+        ReadingSession.getRecipientLocalNos([
+            { recpt: 6 }, { locNo: 10 }, { recTime: {} },
+            { commTo: 100 },
+            { ccRecpt: 7 }, { locNo: 20 },
+            { bccRecpt: 8 }, { locNo: 30 }, { sentBy: 4711 }
+        ]).should.eql([ { confNo: 6, localNo: 10 },
+                        { confNo: 7, localNo: 20 },
+                        { confNo: 8, localNo: 30 } ]);
+    });
+
+    it('should compute unread texts', function(done) {
+        var client = new DummyClient([
+            { membership: membership(10, 200, [{ firstRead: 1, lastRead: 2 },
+                                               { firstRead: 4, lastRead: 4 }]),
+              texts: [ 100, 101, 102, 103, 0, 105 ] },
+            { membership: membership(11, 100, [], { passive: true }),
+              texts: [ 110 ] },
+            { membership: membership(12, 100, []),
+              texts: [ 102, 120 ] },
+        ]);
+
+        var session = new ReadingSession(client, 4711, { batchSize: 2 });
+
+        session.load()
+            .then(function() {
+                session.unreadCounts().should.eql({ 10: 2, 12: 2 });
+                session.unreadCount(11).should.equal(0);
+
+                session.nextUnread().should.eql({ confNo: 10, localNo: 3, textNo: 102 });
+
+                return session.markRead(102);
+            })
+            .then(function() {
+                client.marked.should.eql([ { conference: 10, text: [3] },
+                                           { conference: 12, text: [1] } ]);
+
+                session.unreadCounts().should.eql({ 10: 1, 12: 1 });
+                session.nextUnread().should.eql({ confNo: 10, localNo: 6, textNo: 105 });
+
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should track async messages', function(done) {
+        var client = new DummyClient([
+            { membership: membership(10, 200, [{ firstRead: 1, lastRead: 1 }]),
+              texts: [ 100 ] },
+            { membership: membership(12, 100, [{ firstRead: 1, lastRead: 1 }]),
+              texts: [ 120, 121 ] },
+        ]);
+
+        // Not a member yet
+        var conf12 = client.confs.pop();
+
+        var session = new ReadingSession(client, 4711);
+
+        session.load()
+            .then(function() {
+                should(session.nextUnread()).equal(null);
+
+                client.emit('new-text', {
+                    textNo: 101,
+                    textStat: { miscInfo: [ { recpt: 10 }, { locNo: 2 },
+                                            { ccRecpt: 13 }, { locNo: 7 } ] }
+                });
+
+                session.unreadCounts().should.eql({ 10: 1 });
+
+                // Wait for the new membership to load
+                session.once('change', function(confNo) {
+                    confNo.should.equal(12);
+                    session.unreadCounts().should.eql({ 10: 1, 12: 1 });
+
+                    client.emit('leave-conf', { confNo: 10 });
+                    session.unreadCounts().should.eql({ 12: 1 });
+                    session.nextUnread().should.eql({ confNo: 12, localNo: 2, textNo: 121 });
+
+                    session.close();
+                    client.listeners('new-text').should.have.length(0);
+                    done();
+                });
+
+                client.confs.push(conf12);
+                client.emit('new-membership', { persNo: 4711, confNo: 12 });
+            })
+            .catch(done);
+    });
+
+    it('should apply async messages that arrive while loading', function(done) {
+        var client = new DummyClient([
+            { membership: membership(10, 200, [{ firstRead: 1, lastRead: 1 }]),
+              texts: [ 100, 101 ] },
+        ]);
+
+        var getMembership = client.getMembership;
+        var pending = false;
+
+        client.getMembership = function(params) {
+            pending = true;
+            return getMembership.call(this, params)
+                .delay(5)
+                .finally(function() {
+                    pending = false;
+                });
+        };
+
+        var session = new ReadingSession(client, 4711);
+        var loaded = session.load();
+
+        setTimeout(function() {
+            pending.should.equal(true);
+
+            // 101 will also be in the text mapping, 102 won't
+            client.emit('new-text', {
+                textNo: 102,
+                textStat: { miscInfo: [ { recpt: 10 }, { locNo: 3 } ] }
+            });
+            client.emit('new-text', {
+                textNo: 101,
+                textStat: { miscInfo: [ { recpt: 10 }, { locNo: 2 } ] }
+            });
+
+            loaded
+                .then(function() {
+                    session.unreadCounts().should.eql({ 10: 2 });
+                    session.nextUnread().should.eql({ confNo: 10, localNo: 2, textNo: 101 });
+                    done();
+                })
+                .catch(done);
+        }, 0);
+    });
+
+    it('should only listen once when reloaded', function(done) {
+        var client = new DummyClient([
+            { membership: membership(10, 200, [{ firstRead: 1, lastRead: 1 }]),
+              texts: [ 100 ] },
+        ]);
+
+        var session = new ReadingSession(client, 4711);
+        var changes = 0;
+
+        session.on('change', function() {
+            changes++;
+        });
+
+        session.load()
+            .then(function() {
+                return session.load();
+            })
+            .then(function() {
+                client.listeners('new-text').should.have.length(1);
+                client.listeners('leave-conf').should.have.length(1);
+                client.listeners('new-membership').should.have.length(1);
+
+                client.emit('new-text', {
+                    textNo: 101,
+                    textStat: { miscInfo: [ { recpt: 10 }, { locNo: 2 } ] }
+                });
+
+                changes.should.equal(1);
+                session.unreadCounts().should.eql({ 10: 1 });
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should load memberships ending exactly on a full batch', function(done) {
+        var confs = [];
+        for (var confNo = 1; confNo <= 100; confNo++) {
+            confs.push({ membership: membership(confNo, 100, []), texts: [ confNo * 10 ] });
+        }
+
+        var session = new ReadingSession(new DummyClient(confs), 4711);
+
+        session.load()
+            .then(function() {
+                session.unreadCount(1).should.equal(1);
+                session.unreadCount(100).should.equal(1);
+                done();
+            })
+            .catch(done);
+    });
+});
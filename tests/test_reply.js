@@ -0,0 +1,179 @@
+/* LysKOM protocol A comment recipient unit tests
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+/* global describe, it */
+
+var should = require('should'); // jshint ignore:line
+var Promise = require('bluebird');
+var iconv = require('iconv-lite');
+
+var errors = require('../lib/errors');
+var protocol = require('../lib/protocol');
+var reply = require('../lib/reply');
+
+
+var auxItem = function(tag, data) {
+    return { tag: tag, flags: {}, data: new Buffer(data) };
+};
+
+
+// Dummy client with one text and some conferences
+
+var DummyClient = function(textStat, confAuxItems) {
+    this.textStat = textStat;
+    this.confAuxItems = confAuxItems;
+    this.created = [];
+    this.modified = [];
+
+    this.subject = 'Hej';
+    this.contentType = 'x-kom/text';
+    this.charset = 'latin1';
+};
+
+DummyClient.prototype.readText = function(textNo) {
+    textNo.should.equal(100);
+    return Promise.resolve({
+        textNo: textNo,
+        textStat: this.textStat,
+        contentType: this.contentType,
+        charset: this.charset,
+        subject: this.subject
+    });
+};
+
+DummyClient.prototype.getConfStat = function(params) {
+    var auxItems = this.confAuxItems[params.confNo];
+    if (!auxItems) {
+        return Promise.reject(new errors.RequestError({
+            errorCode: 9, errorName: 'undefined-conference', errorStatus: params.confNo
+        }));
+    }
+
+    return Promise.resolve({ auxItems: auxItems });
+};
+
+DummyClient.prototype.createText = function(params) {
+    this.created.push(params);
+    return Promise.resolve(101);
+};
+
+DummyClient.prototype.modifyTextInfo = function(params) {
+    this.modified.push(params);
+    return Promise.resolve({});
+};
+
+
+describe('reply', function() {
+    this.timeout(100);
+
+    var textStat = {
+        author: 4711,
+        miscInfo: [ { recpt: 6 }, { locNo: 1 },
+                    { ccRecpt: 7 }, { locNo: 2 },
+                    { recpt: 8 }, { locNo: 3 },
+                    { recpt: 9 }, { locNo: 4 },
+                    { recpt: 10 }, { locNo: 5 } ],
+        auxItems: []
+    };
+
+    it('should copy recipients following send-comments-to and redirect', function() {
+        reply.getCommentRecipients(textStat, {
+            6: [],
+            8: [ auxItem(protocol.aux.sendCommentsTo, '12 1') ],
+            9: [ auxItem(protocol.aux.redirect, 'LysKOM:13') ],
+            10: [ auxItem(protocol.aux.redirect, 'E-mail:foo@example.org'),
+                  auxItem(protocol.aux.sendCommentsTo, '0') ]
+        }).should.eql([ { recpt: 6 }, { ccRecpt: 12 }, { recpt: 13 }, { recpt: 10 } ]);
+    });
+
+    it('should send blind carbon copies per send-comments-to', function() {
+        reply.getCommentRecipients(textStat, {
+            8: [ auxItem(protocol.aux.sendCommentsTo, '12 15') ]
+        }).should.eql([ { recpt: 6 }, { bccRecpt: 12 }, { recpt: 9 }, { recpt: 10 } ]);
+    });
+
+    it('should not duplicate redirected recipients', function() {
+        reply.getCommentRecipients(textStat, {
+            8: [ auxItem(protocol.aux.sendCommentsTo, '6') ],
+            9: [ auxItem(protocol.aux.redirect, 'LysKOM:6') ],
+        }).should.eql([ { recpt: 6 }, { recpt: 10 } ]);
+    });
+
+    it('should send personal comments to author', function() {
+        var personal = {
+            author: 4711,
+            miscInfo: textStat.miscInfo,
+            auxItems: [ auxItem(protocol.aux.personalComment, '') ]
+        };
+
+        reply.getCommentRecipients(personal, {}).should.eql([ { recpt: 4711 } ]);
+        reply.getCommentRecipients(textStat, {}, { personal: true }).should.eql([ { recpt: 4711 } ]);
+    });
+
+    it('should create comment', function(done) {
+        var client = new DummyClient(textStat, {
+            6: [],
+            8: [ auxItem(protocol.aux.sendCommentsTo, '12 1') ],
+            // 9 and 10 are secret
+        });
+
+        reply.reply(client, 100, 'Hopp')
+            .then(function(textNo) {
+                textNo.should.equal(101);
+                client.created.should.have.length(1);
+
+                var params = client.created[0];
+                iconv.decode(params.text, 'latin1').should.equal('Hej\nHopp');
+                params.miscInfo.should.eql([ { recpt: 6 }, { ccRecpt: 12 },
+                                             { recpt: 9 }, { recpt: 10 },
+                                             { commTo: 100 } ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should use the charset of the commented text', function(done) {
+        var client = new DummyClient(textStat, { 6: [] });
+        client.contentType = 'text/plain';
+        client.charset = 'utf-8';
+        client.subject = 'Sn\u00f6 \u2603';
+
+        reply.reply(client, 100, 'Hopp')
+            .then(function() {
+                var params = client.created[0];
+                iconv.decode(params.text, 'utf-8').should.equal('Sn\u00f6 \u2603\nHopp');
+                params.auxItems.should.eql([ {
+                    tag: protocol.aux.contentType,
+                    flags: {},
+                    inheritLimit: 0,
+                    data: 'text/plain; charset=utf-8'
+                } ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should add fast reply', function(done) {
+        var client = new DummyClient(textStat, {});
+
+        reply.reply(client, 100, 'Ok', { fast: true })
+            .then(function(textNo) {
+                should(textNo).equal(null);
+                client.created.should.have.length(0);
+                client.modified.should.eql([ {
+                    text: 100,
+                    delete: [],
+                    add: [ { tag: protocol.aux.fastReply, flags: {},
+                             inheritLimit: 0, data: 'Ok' } ]
+                } ]);
+                done();
+            })
+            .catch(done);
+    });
+});
@@ -0,0 +1,166 @@
+/* LysKOM protocol A text builder unit tests
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+// silence errors about wrapping functions in parens
+/* jshint -W068 */
+
+/* global describe, it */
+
+var should = require('should'); // jshint ignore:line
+var Promise = require('bluebird');
+var iconv = require('iconv-lite');
+
+var errors = require('../lib/errors');
+var TextBuilder = require('../lib/textbuilder');
+
+
+// Dummy client that knows a few conference names
+
+var DummyClient = function() {
+    this.created = [];
+};
+
+DummyClient.prototype.lookupZName = function(params) {
+    var confs = {
+        'Foo': [ { name: new Buffer('Foo'), confNo: 6 } ],
+        'Bar': [ { name: new Buffer('Bar'), confNo: 7 },
+                 { name: new Buffer('Bar (och annat)'), confNo: 8 } ],
+        'Gazonk': [ { name: new Buffer('Gazonk 1'), confNo: 9 },
+                    { name: new Buffer('Gazonk 2'), confNo: 10 } ],
+    };
+
+    return Promise.resolve(confs[params.name] || []);
+};
+
+DummyClient.prototype.createText = function(params) {
+    this.created.push(params);
+    return Promise.resolve(4711);
+};
+
+
+describe('TextBuilder', function() {
+    this.timeout(100);
+
+    it('should build text params', function(done) {
+        new TextBuilder()
+            .to(6)
+            .cc(7)
+            .bcc(8)
+            .commentTo(100)
+            .footnoteTo(101)
+            .subject('Räksmörgås')
+            .body('foo\nbar')
+            .aux('creatingSoftware', 'test', { inherit: true })
+            .aux(10100, 'x')
+            .build()
+            .then(function(params) {
+                iconv.decode(params.text, 'latin1').should.equal('Räksmörgås\nfoo\nbar');
+                params.miscInfo.should.eql([ { recpt: 6 }, { ccRecpt: 7 }, { bccRecpt: 8 },
+                                             { commTo: 100 }, { footnTo: 101 } ]);
+                params.auxItems.should.eql([
+                    { tag: 15, flags: { inherit: true }, inheritLimit: 0, data: 'test' },
+                    { tag: 10100, flags: {}, inheritLimit: 0, data: 'x' } ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should encode text in content type charset', function(done) {
+        new TextBuilder()
+            .to(6)
+            .contentType('text/plain', 'utf-8')
+            .subject('å')
+            .body(new Buffer([0xff]))
+            .build()
+            .then(function(params) {
+                params.text.should.eql(new Buffer([0xc3, 0xa5, 0x0a, 0xff]));
+                params.auxItems.should.eql([
+                    { tag: 1, flags: {}, inheritLimit: 0, data: 'text/plain; charset=utf-8' } ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should resolve names and create text', function(done) {
+        var client = new DummyClient();
+
+        new TextBuilder(client)
+            .to('Foo')
+            .cc('Bar')
+            .subject('s')
+            .create()
+            .then(function(textNo) {
+                textNo.should.equal(4711);
+                client.created.should.have.length(1);
+                client.created[0].miscInfo.should.eql([ { recpt: 6 }, { ccRecpt: 7 } ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should reject ambiguous and unknown names', function(done) {
+        var client = new DummyClient();
+
+        new TextBuilder(client).to('Gazonk').build()
+            .then(function() {
+                done('should not resolve');
+            })
+            .catch(errors.ClientError, function(err) {
+                err.message.should.match(/ambiguous/);
+                return new TextBuilder(client).to('Nope').build();
+            })
+            .then(function() {
+                done('should not resolve');
+            })
+            .catch(errors.ClientError, function(err) {
+                err.message.should.match(/unknown/);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should validate combinations', function(done) {
+        (function() {
+            new TextBuilder().subject('foo\nbar');
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            new TextBuilder().commentTo(100).footnoteTo(100);
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            new TextBuilder().aux('contentType', 'text/plain');
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            new TextBuilder().aux('noSuchAuxItem', 'foo');
+        }).should.throw(errors.ClientError);
+
+        (function() {
+            new TextBuilder().contentType('text/plain', 'no-such-charset');
+        }).should.throw(errors.ClientError);
+
+        new TextBuilder(new DummyClient()).to(6).cc('Foo').build()
+            .then(function() {
+                done('should not resolve');
+            })
+            .catch(errors.ClientError, function(err) {
+                err.message.should.match(/already a recipient/);
+                return new TextBuilder().commentTo(100).build();
+            })
+            .then(function() {
+                done('should not resolve');
+            })
+            .catch(errors.ClientError, function(err) {
+                err.message.should.match(/at least one recipient/);
+                done();
+            })
+            .catch(done);
+    });
+});
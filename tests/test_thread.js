@@ -0,0 +1,160 @@
+/* LysKOM protocol A thread traversal unit tests
+ *
+ * Copyright 2014 Peter Liljenberg <peter.liljenberg@gmail.com>
+ *
+ * Distributed under an MIT license, please see LICENSE in the top dir.
+ */
+
+'use strict';
+
+// silence errors about "foo.should.be.true;"
+/* jshint -W030 */
+
+/* global describe, it */
+
+var should = require('should'); // jshint ignore:line
+var Promise = require('bluebird');
+
+var errors = require('../lib/errors');
+var thread = require('../lib/thread');
+
+
+// Dummy client that only knows about Text-Stats
+
+var DummyClient = function(texts) {
+    this.texts = texts;
+    this.fetched = [];
+};
+
+DummyClient.prototype.getTextStat = function(params) {
+    this.fetched.push(params.textNo);
+
+    var miscInfo = this.texts[params.textNo];
+    if (!miscInfo) {
+        return Promise.reject(new errors.NoSuchTextError({
+            errorCode: 14, errorName: 'no-such-text', errorStatus: params.textNo
+        }));
+    }
+
+    return Promise.resolve({ miscInfo: miscInfo });
+};
+
+
+// 5 comments both 2 and 3, 6 is deleted and 99 is secret
+
+var texts = {
+    1: [ { commTo: 99 }, { commIn: 2 }, { commIn: 3 }, { footnIn: 4 } ],
+    2: [ { commTo: 1 }, { commIn: 5 } ],
+    3: [ { commTo: 1 }, { commIn: 5 }, { commIn: 6 } ],
+    4: [ { footnTo: 1 } ],
+    5: [ { commTo: 2 }, { commTo: 3 }, { commIn: 7 } ],
+    7: [ { commTo: 5 } ],
+};
+
+var summarize = function(node) {
+    return {
+        textNo: node.textNo,
+        depth: node.depth,
+        comments: node.comments.map(summarize),
+        footnotes: node.footnotes.map(summarize)
+    };
+};
+
+var leaf = function(textNo, depth) {
+    return { textNo: textNo, depth: depth, comments: [], footnotes: [] };
+};
+
+
+describe('thread', function() {
+    this.timeout(100);
+
+    it('should fetch whole thread from a comment', function(done) {
+        thread.getThread(new DummyClient(texts), 7)
+            .then(function(root) {
+                root.textStat.miscInfo.should.equal(texts[1]);
+
+                summarize(root).should.eql({
+                    textNo: 1, depth: 0,
+                    footnotes: [ leaf(4, 1) ],
+                    comments: [
+                        { textNo: 2, depth: 1, footnotes: [],
+                          comments: [
+                              { textNo: 5, depth: 2, footnotes: [],
+                                comments: [ leaf(7, 3) ] } ] },
+                        leaf(3, 1) ]
+                });
+
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should limit depth and ancestors', function(done) {
+        var client = new DummyClient(texts);
+
+        thread.getThread(client, 5, { maxAncestors: 1, maxDepth: 1 })
+            .then(function(root) {
+                summarize(root).should.eql({
+                    textNo: 2, depth: 0, footnotes: [],
+                    comments: [ leaf(5, 1) ]
+                });
+
+                client.fetched.should.not.containEql(1);
+                client.fetched.should.not.containEql(7);
+
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should reject if the start text is missing', function(done) {
+        thread.getThread(new DummyClient(texts), 6)
+            .then(function() {
+                done('should not resolve');
+            })
+            .catch(errors.NoSuchTextError, function() {
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should iterate depth first', function(done) {
+        var visited = [];
+
+        new thread.ThreadIterator(new DummyClient(texts), 3)
+            .forEach(function(item) {
+                visited.push([item.textNo, item.depth, item.parent]);
+            })
+            .then(function() {
+                visited.should.eql([ [1, 0, null],
+                                     [4, 1, 1],
+                                     [2, 1, 1],
+                                     [5, 2, 2],
+                                     [7, 3, 5],
+                                     [3, 1, 1] ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should iterate from a text without finding root', function(done) {
+        var it = new thread.ThreadIterator(new DummyClient(texts), 3,
+                                           { findRoot: false, maxDepth: 1 });
+        var visited = [];
+
+        // Check that overlapping next() calls are handled
+        Promise.all([it.next(), it.next(), it.next()])
+            .then(function(results) {
+                results.forEach(function(res) {
+                    if (!res.done) {
+                        visited.push(res.value.textNo);
+                    }
+                });
+
+                visited.should.eql([3, 5]);
+                results[2].done.should.be.true;
+                done();
+            })
+            .catch(done);
+    });
+});